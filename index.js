@@ -1,10 +1,22 @@
 const { runAutomation } = require('./src/services/automationService');
 const { helpText } = require('./src/utils/help');
+const { resolveCommand, commandHelp } = require('./src/utils/cli');
 
-// Show usage if --help is passed
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  console.log(helpText);
+const args = process.argv.slice(2);
+
+// Show usage if --help is passed: for the command when one is given, otherwise for the tool
+if (args.includes('--help') || args.includes('-h')) {
+  let command = null;
+  try {
+    command = args[0] && !args[0].startsWith('-') ? resolveCommand(args).name : null;
+  } catch (error) {
+    // Unknown command: fall back to the general help
+  }
+  console.log(command ? commandHelp(command) : helpText);
   process.exit(0);
 }
 
-runAutomation(process.argv.slice(2));
\ No newline at end of file
+// Exit with the command's exit code (see src/utils/exitCodes.js) once everything has been written
+runAutomation(args).then(result => {
+  process.exitCode = result.exitCode;
+});
@@ -24,9 +24,10 @@ try {
  * @property {string} authToken - Twilio Auth Token
  * @property {object} auth - Basic auth object used in HTTP requests
  * @property {string} downloadsFolder - Absolute path to the local downloads directory
- * @property {string} twilioBaseUrl - Base URL for Twilio Bulk Exports API
+ * @property {string} twilioBaseUrl - Base URL for Twilio Bulk Exports API; the resource type (e.g. /Messages) follows it
  * @property {number} maxRetries - Max number of retries per file
  * @property {number} timeout - HTTP request timeout in milliseconds
+ * @property {number} downloadConcurrency - Default number of simultaneous day downloads
  */
 
 // Validate required environment variables
@@ -47,8 +48,9 @@ module.exports = {
   authToken: process.env.TWILIO_AUTH_TOKEN,
   auth: { username: process.env.TWILIO_ACCOUNT_SID, password: process.env.TWILIO_AUTH_TOKEN },
   downloadsFolder,
-  twilioBaseUrl: 'https://bulkexports.twilio.com/v1/Exports/Messages',
+  twilioBaseUrl: 'https://bulkexports.twilio.com/v1/Exports',
   maxRetries: 3, // Increased retries
   timeout: 45000, // Increased timeout
+  downloadConcurrency: 8,
   apiVersion: 'v1' // Added API version for better flexibility
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * CSV dialect profiles used by the delimited text writers.
+ *
+ * @typedef {Object} Dialect
+ * @property {string} delimiter - Field separator.
+ * @property {string} decimalSeparator - Decimal separator used for decimal columns such as price.
+ * @property {'minimal'|'all'} quoting - Quote only cells that need it, or every non-empty cell.
+ * @property {boolean} preserveNewlines - Keep line breaks inside cells; otherwise they become spaces.
+ * @property {boolean} phoneAsText - Wrap phone numbers as ="value" so Excel keeps them as text.
+ * @property {boolean} bom - Start the file with a UTF-8 byte order mark.
+ * @property {'lf'|'crlf'} lineEnding - Row terminator.
+ */
+const DIALECTS = {
+  // Excel with a European locale (semicolon lists, decimal comma); the historical default output
+  'excel-eu': {
+    delimiter: ';',
+    decimalSeparator: ',',
+    quoting: 'minimal',
+    preserveNewlines: false,
+    phoneAsText: true,
+    bom: false,
+    lineEnding: 'lf'
+  },
+  // Excel with a US/UK locale
+  'excel-us': {
+    delimiter: ',',
+    decimalSeparator: '.',
+    quoting: 'minimal',
+    preserveNewlines: false,
+    phoneAsText: true,
+    bom: true,
+    lineEnding: 'crlf'
+  },
+  // Standard CSV as described in RFC 4180
+  rfc4180: {
+    delimiter: ',',
+    decimalSeparator: '.',
+    quoting: 'minimal',
+    preserveNewlines: true,
+    phoneAsText: false,
+    bom: false,
+    lineEnding: 'crlf'
+  },
+  // Values exactly as exported, for Python, Postgres COPY and other tooling
+  raw: {
+    delimiter: ',',
+    decimalSeparator: '.',
+    quoting: 'minimal',
+    preserveNewlines: true,
+    phoneAsText: false,
+    bom: false,
+    lineEnding: 'lf'
+  },
+  // Tab-separated values; TSV cannot escape line breaks, so they become spaces
+  tsv: {
+    delimiter: '\t',
+    decimalSeparator: '.',
+    quoting: 'minimal',
+    preserveNewlines: false,
+    phoneAsText: false,
+    bom: false,
+    lineEnding: 'lf'
+  }
+};
+
+const DEFAULT_DIALECT = 'excel-eu';
+
+const LINE_ENDINGS = { lf: '\n', crlf: '\r\n' };
+
+/**
+ * Resolves a dialect from a profile name or from an object of overrides.
+ * An object may name the profile it starts from with `base` (defaults to excel-eu).
+ *
+ * @param {string|Object} [spec] - Profile name, or `{ base, ...overrides }`.
+ * @returns {Dialect & {name: string, newline: string}} The resolved dialect
+ * @throws {Error} If the profile is unknown or an override is invalid
+ */
+function resolveDialect(spec = DEFAULT_DIALECT) {
+  const overrides = typeof spec === 'string' ? {} : { ...spec };
+  const name = typeof spec === 'string' ? spec : (overrides.base || DEFAULT_DIALECT);
+  delete overrides.base;
+
+  if (!DIALECTS[name]) {
+    throw new Error(`Unknown CSV dialect: ${name}. Available dialects: ${Object.keys(DIALECTS).join(', ')}`);
+  }
+
+  const unknownKeys = Object.keys(overrides).filter(key => !(key in DIALECTS[name]));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown CSV dialect setting(s): ${unknownKeys.join(', ')}`);
+  }
+
+  const dialect = { ...DIALECTS[name], ...overrides };
+
+  if (typeof dialect.delimiter !== 'string' || dialect.delimiter.length !== 1 || dialect.delimiter === '"') {
+    throw new Error('CSV dialect delimiter must be a single character other than a double quote');
+  }
+  if (!['.', ','].includes(dialect.decimalSeparator)) {
+    throw new Error('CSV dialect decimalSeparator must be "." or ","');
+  }
+  if (!['minimal', 'all'].includes(dialect.quoting)) {
+    throw new Error('CSV dialect quoting must be "minimal" or "all"');
+  }
+  if (!LINE_ENDINGS[dialect.lineEnding]) {
+    throw new Error('CSV dialect lineEnding must be "lf" or "crlf"');
+  }
+
+  return {
+    name: Object.keys(overrides).length > 0 ? `${name} (customized)` : name,
+    ...dialect,
+    newline: LINE_ENDINGS[dialect.lineEnding]
+  };
+}
+
+module.exports = {
+  DIALECTS,
+  DEFAULT_DIALECT,
+  resolveDialect
+};
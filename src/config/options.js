@@ -0,0 +1,74 @@
+const { join, resolve } = require('path');
+const fs = require('fs-extra');
+const { DEFAULT_TIME_ZONE } = require('../utils/timezone');
+
+/**
+ * Default location of the optional processing options file, in the project root.
+ */
+const DEFAULT_OPTIONS_FILE = join(__dirname, '../../export.config.json');
+
+/**
+ * Reads a JSON processing options file.
+ *
+ * @param {string} filePath - Path to the JSON file.
+ * @returns {Object} The parsed options
+ * @throws {Error} If the file cannot be read or is not a JSON object
+ */
+function loadOptionsFile(filePath) {
+  let options;
+  try {
+    options = fs.readJsonSync(filePath);
+  } catch (error) {
+    throw new Error(`Failed to read options file ${filePath}: ${error.message}`);
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`Options file ${filePath} must contain a JSON object`);
+  }
+  return options;
+}
+
+/**
+ * Merges command-line processing options over the options file.
+ * The file given with --config is required; otherwise export.config.json in the
+ * project root is used when present.
+ *
+ * @param {Object} cliOptions - Options parsed from the command line.
+ * @returns {Object} The effective processing options
+ */
+function resolveProcessingOptions(cliOptions) {
+  let fileOptions = {};
+  if (cliOptions.configPath) {
+    fileOptions = loadOptionsFile(resolve(cliOptions.configPath));
+  } else if (fs.pathExistsSync(DEFAULT_OPTIONS_FILE)) {
+    fileOptions = loadOptionsFile(DEFAULT_OPTIONS_FILE);
+  }
+
+  return {
+    resource: cliOptions.resource || fileOptions.resource,
+    formats: cliOptions.formats.length > 0 ? cliOptions.formats : (fileOptions.formats || []),
+    dialect: cliOptions.dialect || fileOptions.dialect,
+    columns: cliOptions.columns || fileOptions.columns,
+    includeFileDate: cliOptions.includeFileDate ?? fileOptions.includeFileDate ?? true,
+    where: cliOptions.where.length > 0 ? cliOptions.where : [].concat(fileOptions.where || []),
+    split: cliOptions.split || fileOptions.split,
+    summary: cliOptions.summary ?? fileOptions.summary ?? true,
+    costReport: cliOptions.costReport ?? fileOptions.costReport ?? false,
+    expectedTotal: cliOptions.expectedTotal ?? fileOptions.expectedTotal,
+    privacy: cliOptions.privacy ?? fileOptions.privacy,
+    sqlite: cliOptions.sqlite || fileOptions.sqlite,
+    concurrency: cliOptions.concurrency ?? fileOptions.concurrency,
+    followUps: cliOptions.followUps ?? fileOptions.followUps,
+    webhookUrl: cliOptions.webhookUrl || fileOptions.webhookUrl,
+    webhookPort: cliOptions.webhookPort ?? fileOptions.webhookPort,
+    webhookWait: cliOptions.webhookWait ?? fileOptions.webhookWait,
+    dedupe: cliOptions.dedupe ?? fileOptions.dedupe,
+    tz: cliOptions.tz || fileOptions.tz || DEFAULT_TIME_ZONE,
+    localTimes: cliOptions.localTimes ?? fileOptions.localTimes ?? false
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS_FILE,
+  loadOptionsFile,
+  resolveProcessingOptions
+};
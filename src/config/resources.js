@@ -0,0 +1,237 @@
+/**
+ * Resource types supported by Twilio Bulk Exports, keyed by the name used in the API path
+ * (/v1/Exports/<name>) and with --resource.
+ *
+ * Each resource describes its records:
+ *   fields          Record fields, in the order Twilio writes them; used for the default column order
+ *                   and to validate column specs, filters, privacy settings and --split field:<name>
+ *   idField         Field that identifies a record; used by --dedupe and as the SQLite primary key
+ *   dateFields      ISO 8601 UTC timestamps: compared as dates by --where, written as dates in xlsx
+ *   localTimeFields Timestamps that --local-times adds a <field>_local column for, in the --tz time zone
+ *   phoneFields     Phone numbers, kept as text by the csv dialects with phoneAsText
+ *   decimalFields   Decimal amounts, written with the dialect's decimal separator
+ *   integerFields   Whole numbers
+ *   durationFields  Durations in seconds; whole numbers, written as [h]:mm:ss durations in xlsx
+ *   indexedFields   Fields indexed in the SQLite table
+ *   noun            Plural used in log messages, report sections and as the SQLite table name
+ *   jobPrefix       Prefix of the export job names created for the resource
+ *   summary         Fields the summary report groups by (see reports/summary.js); the statuses
+ *                   counted as successful and failed and the names of the matching rates
+ */
+const RESOURCES = {
+  Messages: {
+    fields: [
+      'date_updated',
+      'date_sent',
+      'date_created',
+      'body',
+      'num_segments',
+      'sid',
+      'num_media',
+      'messaging_service_sid',
+      'account_sid',
+      'from',
+      'flags',
+      'to',
+      'error_code',
+      'price',
+      'price_unit',
+      'status',
+      'direction'
+    ],
+    idField: 'sid',
+    dateFields: ['date_sent', 'date_created', 'date_updated'],
+    localTimeFields: ['date_sent', 'date_created'],
+    phoneFields: ['to', 'from'],
+    decimalFields: ['price'],
+    integerFields: ['num_segments', 'num_media', 'error_code'],
+    durationFields: [],
+    indexedFields: ['date_sent', 'from', 'to', 'status'],
+    noun: 'messages',
+    jobPrefix: 'Job',
+    summary: {
+      dateField: 'date_sent',
+      statusField: 'status',
+      directionField: 'direction',
+      senderField: 'from',
+      errorField: 'error_code',
+      segmentsField: 'num_segments',
+      durationField: null,
+      succeeded: { statuses: ['delivered'], count: 'delivered', rate: 'deliveryRate' },
+      failedStatuses: ['failed', 'undelivered']
+    }
+  },
+
+  Calls: {
+    fields: [
+      'date_updated',
+      'date_created',
+      'start_time',
+      'end_time',
+      'duration',
+      'sid',
+      'parent_call_sid',
+      'account_sid',
+      'phone_number_sid',
+      'from',
+      'from_formatted',
+      'to',
+      'to_formatted',
+      'forwarded_from',
+      'caller_name',
+      'status',
+      'direction',
+      'answered_by',
+      'group_sid',
+      'trunk_sid',
+      'queue_time',
+      'price',
+      'price_unit',
+      'api_version'
+    ],
+    idField: 'sid',
+    dateFields: ['date_created', 'date_updated', 'start_time', 'end_time'],
+    localTimeFields: ['start_time', 'end_time'],
+    phoneFields: ['to', 'from', 'forwarded_from'],
+    decimalFields: ['price'],
+    // queue_time is in milliseconds, unlike the durations
+    integerFields: ['queue_time'],
+    durationFields: ['duration'],
+    indexedFields: ['start_time', 'from', 'to', 'status'],
+    noun: 'calls',
+    jobPrefix: 'Job_Calls',
+    summary: {
+      dateField: 'start_time',
+      statusField: 'status',
+      directionField: 'direction',
+      senderField: 'from',
+      errorField: null,
+      segmentsField: null,
+      durationField: 'duration',
+      succeeded: { statuses: ['completed'], count: 'completed', rate: 'completionRate' },
+      failedStatuses: ['failed', 'busy', 'no-answer', 'canceled']
+    }
+  },
+
+  Conferences: {
+    fields: [
+      'conference_sid',
+      'account_sid',
+      'friendly_name',
+      'create_time',
+      'start_time',
+      'end_time',
+      'duration_seconds',
+      'connect_duration_seconds',
+      'status',
+      'max_participants',
+      'max_concurrent_participants',
+      'unique_participants',
+      'end_reason',
+      'ended_by',
+      'mixer_region',
+      'mixer_region_requested',
+      'recording_enabled',
+      'detected_issues',
+      'tags',
+      'tag_info',
+      'processing_state'
+    ],
+    idField: 'conference_sid',
+    dateFields: ['create_time', 'start_time', 'end_time'],
+    localTimeFields: ['start_time', 'end_time'],
+    phoneFields: [],
+    decimalFields: [],
+    integerFields: ['max_participants', 'max_concurrent_participants', 'unique_participants'],
+    durationFields: ['duration_seconds', 'connect_duration_seconds'],
+    indexedFields: ['start_time', 'status', 'friendly_name'],
+    noun: 'conferences',
+    jobPrefix: 'Job_Conferences',
+    summary: {
+      dateField: 'start_time',
+      statusField: 'status',
+      directionField: null,
+      senderField: null,
+      errorField: null,
+      segmentsField: null,
+      durationField: 'duration_seconds',
+      succeeded: { statuses: ['completed'], count: 'completed', rate: 'completionRate' },
+      failedStatuses: ['summary_timeout']
+    }
+  },
+
+  Participants: {
+    fields: [
+      'participant_sid',
+      'label',
+      'conference_sid',
+      'call_sid',
+      'account_sid',
+      'call_direction',
+      'from',
+      'to',
+      'call_status',
+      'country_code',
+      'is_moderator',
+      'join_time',
+      'leave_time',
+      'duration_seconds',
+      'outbound_queue_length',
+      'outbound_time_in_queue',
+      'jitter_buffer_size',
+      'is_coach',
+      'coached_participants',
+      'participant_region',
+      'conference_region',
+      'call_type',
+      'processing_state',
+      'properties',
+      'events',
+      'metrics'
+    ],
+    idField: 'participant_sid',
+    dateFields: ['join_time', 'leave_time'],
+    localTimeFields: ['join_time', 'leave_time'],
+    phoneFields: ['to', 'from'],
+    decimalFields: [],
+    integerFields: ['outbound_queue_length'],
+    durationFields: ['duration_seconds', 'outbound_time_in_queue'],
+    indexedFields: ['conference_sid', 'call_sid', 'join_time'],
+    noun: 'participants',
+    jobPrefix: 'Job_Participants',
+    summary: {
+      dateField: 'join_time',
+      statusField: 'call_status',
+      directionField: 'call_direction',
+      senderField: 'from',
+      errorField: null,
+      segmentsField: null,
+      durationField: 'duration_seconds',
+      succeeded: { statuses: ['completed'], count: 'completed', rate: 'completionRate' },
+      failedStatuses: ['failed', 'busy', 'no-answer', 'canceled']
+    }
+  }
+};
+
+const DEFAULT_RESOURCE = 'Messages';
+
+/**
+ * Looks up a resource type by name, ignoring case ("calls" selects Calls).
+ *
+ * @param {string} [name] - The resource name; defaults to Messages.
+ * @returns {Object} The resource definition, with its name added as `name`
+ * @throws {Error} If the resource type is not supported
+ */
+function getResource(name = DEFAULT_RESOURCE) {
+  const key = Object.keys(RESOURCES).find(resource => resource.toLowerCase() === String(name).trim().toLowerCase());
+  if (!key) {
+    throw new Error(`Unsupported resource type: ${name}. Supported resource types: ${Object.keys(RESOURCES).join(', ')}`);
+  }
+  return { name: key, ...RESOURCES[key] };
+}
+
+module.exports = {
+  RESOURCES,
+  DEFAULT_RESOURCE,
+  getResource
+};
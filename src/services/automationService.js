@@ -1,183 +1,261 @@
+const path = require('path');
 const moment = require('moment');
+const fsExtra = require('fs-extra');
+const config = require('../config/config');
 const { downloadCustomJobExports } = require('./twilio/download');
-const { createExportJob, findExistingJob, pollExportJobCompletion } = require('./twilio/export');
+const { ensureCompletedJob } = require('./twilio/export');
 const { processFiles } = require('./fileProcessor');
-const { getPreviousWeekDates, getPreviousMonthDates } = require('../utils/dateUtils');
-const { validateDate, validateDateRange } = require('../utils/validation');
+const { chunkJobName, downloadAndProcessJobs } = require('./exportRun');
+const { splitDateRange } = require('../utils/dateUtils');
+const { resolvePeriod } = require('../utils/periods');
+const { DEFAULT_TIME_ZONE, validateTimeZone, describePeriod } = require('../utils/timezone');
+const { MAX_DAYS_PER_JOB } = require('../utils/validation');
 const logger = require('../utils/logger');
 const { testConnection } = require('./twilio/client');
+const { validateFormats } = require('./writers');
+const { COMMANDS, resolveCommand, parseCommandLine } = require('../utils/cli');
+const { EXIT_CODES, exitCodeForError, exitCodeForResult } = require('../utils/exitCodes');
+const { resolveProcessingOptions } = require('../config/options');
+const { resolveDialect } = require('../config/dialects');
+const { parseColumnSpec } = require('../utils/columns');
+const { compileFilters } = require('../utils/filter');
+const { parseSplitOption } = require('./writers/partitions');
+const { parseExpectedTotal, hasPrices } = require('./reports/cost');
+const { compilePrivacyPolicy } = require('../utils/privacy');
+const { runSync } = require('./sync');
+const { runJobs } = require('./jobs');
+const { detachRun, runResume } = require('./pending');
+const { planExportRun } = require('./plan');
+const { validateConcurrency } = require('./twilio/throttle');
+const { validateWebhookOptions, withWebhookListener } = require('./twilio/webhook');
+const { validateFollowUps, runFollowUpJobs } = require('./twilio/followUp');
+const { getResource } = require('../config/resources');
 
-const resourceType = 'Messages';
+/**
+ * Checks the effective processing options against the resource type, so mistakes are reported
+ * before any job is created.
+ *
+ * @throws {Error} If an option is invalid
+ */
+function validateProcessingOptions(processingOptions, resource) {
+  validateFormats(processingOptions.formats);
+  resolveDialect(processingOptions.dialect);
+  if (processingOptions.columns) {
+    parseColumnSpec(processingOptions.columns, resource.fields);
+  }
+  compileFilters(processingOptions.where, resource);
+  parseSplitOption(processingOptions.split, resource.fields);
+  if ((processingOptions.costReport || processingOptions.expectedTotal) && !hasPrices(resource)) {
+    throw new Error(`--cost-report and --expected-total need prices, which ${resource.name} records do not have`);
+  }
+  if (processingOptions.expectedTotal) {
+    parseExpectedTotal(processingOptions.expectedTotal);
+  }
+  compilePrivacyPolicy(processingOptions.privacy, { knownFields: resource.fields });
+  validateConcurrency(processingOptions.concurrency);
+  validateWebhookOptions(processingOptions);
+  validateFollowUps(processingOptions.followUps);
+  validateTimeZone(processingOptions.tz);
+}
+
+/**
+ * export: creates or reuses the export job(s) for a date preset (the previous week by default, see
+ * utils/periods.js) or a --from/--to range, waits for them, exports failed days again and downloads and processes the result.
+ * Both are local days in the --tz time zone, exported with the UTC export days that cover them (see utils/timezone.js).
+ * With --detach the jobs are recorded as pending instead (see pending/index.js), and with --dry-run
+ * the run is only planned (see plan.js).
+ */
+async function runExport(options, processingOptions, resource) {
+  const resourceType = resource.name;
+  const timeZone = processingOptions.tz;
+  let startDate, endDate, friendlyName;
+
+  // Job names start with the resource's prefix, so jobs of different resources get their own folders
+  if (options.from) {
+    startDate = options.from;
+    endDate = options.to;
+    friendlyName = options.name
+      ? `${resource.jobPrefix}_Custom_${options.name}`
+      : `${resource.jobPrefix}_Week_${startDate.replace(/-/g, '_')}`;
+  }
+  else {
+    // A date preset; the previous week by default
+    const period = resolvePeriod(options.period || 'week', options.periodValue, resource.jobPrefix, timeZone);
+    ({ startDate, endDate, friendlyName } = period);
+    logger.info(`Processing ${resource.noun} for ${period.label} (${timeZone})`);
+  }
+
+  // The UTC export days that cover the local days; processing drops the records outside them
+  const exportPeriod = describePeriod(startDate, endDate, timeZone);
+  const { exportDays } = exportPeriod;
+  if (timeZone !== DEFAULT_TIME_ZONE) {
+    // The same dates in another time zone are another period, so they get their own job
+    friendlyName = `${friendlyName}_${timeZone.replace(/[^A-Za-z0-9]+/g, '_')}`;
+    const lastCompleteDay = moment.utc().subtract(1, 'day').format('YYYY-MM-DD');
+    if (exportDays.endDate > lastCompleteDay) {
+      throw new Error(`${startDate} to ${endDate} in ${timeZone} needs the UTC export day ${exportDays.endDate}, which is not complete yet (the last complete UTC day is ${lastCompleteDay})`);
+    }
+    logger.info(`${startDate} to ${endDate} in ${timeZone} is covered by the UTC export days ${exportDays.startDate} to ${exportDays.endDate}`);
+  }
+  processingOptions = { ...processingOptions, exportPeriod };
+
+  logger.info(`Looking for ${resourceType} export job covering ${exportDays.startDate} to ${exportDays.endDate}...`);
+
+  // Ranges longer than one job allows are split into several jobs
+  const chunks = splitDateRange(exportDays.startDate, exportDays.endDate, MAX_DAYS_PER_JOB);
+  if (chunks.length > 1) {
+    logger.info(`The range is longer than ${MAX_DAYS_PER_JOB} days; splitting it into ${chunks.length} export jobs`, { chunks });
+  }
+
+  if (options.dryRun) {
+    return await planExportRun({ name: friendlyName, chunks, resource, processingOptions, detach: options.detach, period: exportPeriod });
+  }
+
+  if (options.detach) {
+    return await detachRun({ name: friendlyName, chunks, resource, processingOptions });
+  }
+
+  // Reuse or create a job per chunk and wait for all of them at once, then export the days that failed again
+  const { jobs, followUps, failedDays } = await withWebhookListener(processingOptions, async webhook => {
+    const completedJobs = await Promise.all(chunks.map((chunk, index) => ensureCompletedJob({
+      resourceType,
+      ...chunk,
+      friendlyName: chunkJobName(friendlyName, index, chunks.length),
+      webhook
+    })));
+    const followUp = await runFollowUpJobs({
+      resourceType,
+      jobs: completedJobs.map((job, index) => ({ job, ...chunks[index] })),
+      name: friendlyName,
+      maxFollowUps: processingOptions.followUps,
+      webhook
+    });
+    return { jobs: completedJobs, ...followUp };
+  });
+
+  // The chunks are downloaded into a single job folder, named after the whole range
+  return await downloadAndProcessJobs({
+    jobs: jobs.map((job, index) => ({ jobSid: job.jobSid, friendlyName: job.friendlyName || null, ...chunks[index] })),
+    followUps,
+    failedDays,
+    name: friendlyName,
+    resource,
+    processingOptions
+  });
+}
+
+/**
+ * download <job>: downloads an existing job, optionally only the days from --from to --to, and processes it.
+ */
+async function runDownload(jobIdentifier, options, processingOptions, resource) {
+  logger.info(`Downloading job ${jobIdentifier}...`);
+  const jobFolder = await downloadCustomJobExports({
+    jobIdentifier,
+    userStart: options.from,
+    userEnd: options.to,
+    resourceType: resource.name,
+    concurrency: processingOptions.concurrency
+  });
+  // A job without days with data leaves nothing to process
+  if (!jobFolder) {
+    const range = options.from ? ` between ${options.from} and ${options.to}` : '';
+    logger.warn(`No ${resource.noun} in job ${jobIdentifier}${range}`);
+    return { success: true, recordCount: 0 };
+  }
+  const processingResult = await processFiles(jobFolder, processingOptions);
+  return { success: true, jobFolder, recordCount: processingResult.count, csvPath: processingResult.path, outputs: processingResult.outputs };
+}
 
 /**
- * Main automation logic for orchestrating Twilio export job creation, polling, downloading, and processing.
+ * process <folder>: processes the files of a job folder that was downloaded before. The folder is
+ * a path, or the name of a folder in the downloads folder.
+ */
+async function runProcess(folder, processingOptions) {
+  const candidates = [path.resolve(folder), path.join(config.downloadsFolder, folder)];
+  let jobFolder = null;
+  for (const candidate of candidates) {
+    if (await fsExtra.pathExists(path.join(candidate, 'files'))) {
+      jobFolder = candidate;
+      break;
+    }
+  }
+  if (!jobFolder) {
+    throw new Error(`Job folder not found: ${folder}. Give its path or the name of a folder in ${config.downloadsFolder} that has a files folder`);
+  }
+
+  const processingResult = await processFiles(jobFolder, processingOptions);
+  return { success: true, jobFolder, recordCount: processingResult.count, csvPath: processingResult.path, outputs: processingResult.outputs };
+}
+
+/**
+ * What each command runs, given the parsed command line (see utils/cli.js).
+ */
+const HANDLERS = {
+  export: ({ options }, processingOptions, resource) => runExport(options, processingOptions, resource),
+  download: ({ args, options }, processingOptions, resource) => runDownload(args.job, options, processingOptions, resource),
+  process: ({ args }, processingOptions) => runProcess(args.folder, processingOptions),
+  sync: ({ options }, processingOptions, resource) => runSync(options, processingOptions, resource),
+  resume: () => runResume(),
+  'jobs list': ({ options }, processingOptions, resource) => runJobs({ command: 'list', json: options.json }, resource),
+  'jobs show': ({ args, options }, processingOptions, resource) => runJobs({ command: 'show', identifier: args.job, json: options.json }, resource),
+  'jobs status': ({ args, options }, processingOptions, resource) => runJobs({ command: 'status', identifier: args.job, json: options.json }, resource),
+  'jobs delete': ({ args, options }, processingOptions, resource) => runJobs({ command: 'delete', identifier: args.job, json: options.json }, resource)
+};
+
+/**
+ * Main automation logic: parses the command line, validates the options and runs the command
+ * (see COMMANDS in utils/cli.js).
  * 
  * @param {string[]} args - CLI arguments passed to the script.
- * @returns {Promise<{ success: boolean, jobFolder?: string, error?: string }>}
+ * @returns {Promise<{ success: boolean, exitCode: number, jobFolder?: string, error?: string }>} The command's
+ *   result, with the process exit code (see utils/exitCodes.js)
  */
 async function runAutomation(args) {
+  // Errors before the command starts are usage errors
+  let started = false;
+  let command = null;
   try {
-    // First test Twilio API connectivity
-    const connectionSuccess = await testConnection();
-    if (!connectionSuccess) {
-      throw new Error('Failed to connect to Twilio API. Please check your credentials and network connection.');
-    }
-    
-    logger.info('Twilio API connection test passed successfully');
-    
-    let startDate, endDate, jobIdentifier, customJobName;
-    let jobPrefix = 'Job_Week'; // Default prefix
-
-    // Parse command line arguments
-    if (args.length === 0 || args[0] === '--week') {
-      // Default or explicit week flag: Previous week
-      const dates = getPreviousWeekDates();
-      startDate = dates.monday;
-      endDate = dates.sunday;
-      logger.info('Processing previous week\'s data');
-    }
-    else if (args[0] === '--month') {
-      // Month flag: Previous month
-      const dates = getPreviousMonthDates();
-      startDate = dates.start;
-      endDate = dates.end;
-      jobPrefix = 'Job_Month';
-      logger.info('Processing previous month\'s data');
-    }
-    else if (args.length === 1) {
-      // Single argument: Job identifier
-      jobIdentifier = args[0];
-      logger.info(`Looking up specific job: ${jobIdentifier}`);
-    }
-    else if (args.length >= 2) {
-      // Check if first argument is --name
-      if (args[0] === '--name' && args.length >= 4) {
-        customJobName = args[1];
-        startDate = args[2];
-        endDate = args[3];
-      } else {
-        // Original two argument case
-        [startDate, endDate] = args;
-      }
-      
-      validateDate(startDate);
-      validateDate(endDate);
-      validateDateRange(startDate, endDate);
-    } 
-    else {
-      throw new Error('Invalid number of arguments');
-    }
-
-    if (jobIdentifier) {
-      // Direct download of existing job
-      logger.info(`Downloading job ${jobIdentifier}...`);
-      const jobFolder = await downloadCustomJobExports({ jobIdentifier });
-      await processFiles(jobFolder);
-      return { success: true, jobFolder };
-    }
+    command = resolveCommand(args).name;
+    const parsed = parseCommandLine(args);
+    const processingOptions = resolveProcessingOptions(parsed.options);
+    const resource = getResource(processingOptions.resource);
+    processingOptions.resource = resource.name;
+    validateProcessingOptions(processingOptions, resource);
+    started = true;
 
-    logger.info(`Looking for export job covering ${startDate} to ${endDate}...`);
-    
-    // Calculate expected days based on date range
-    const expectedDays = moment(endDate).diff(moment(startDate), 'days') + 1;
-    logger.info(`Expecting ${expectedDays} days of data...`);
-    
-    const existingJobResult = await findExistingJob(resourceType, startDate, endDate, expectedDays);
-    let job;
-    
-    if (existingJobResult) {
-      job = existingJobResult.job;
-      
-      if (existingJobResult.needsWaiting) {
-        logger.info('Waiting for existing job to complete...');
-        job = await pollExportJobCompletion(
-          resourceType,
-          job.jobSid,
-          expectedDays,
-          60,
-          { 
-            pollIntervalMs: 30000,
-            initialWaitMs: 60000
-          }
-        );
+    if (!COMMANDS[command].offline) {
+      // Test Twilio API connectivity first
+      const connectionSuccess = await testConnection(resource.name);
+      if (!connectionSuccess) {
+        throw new Error('Failed to connect to Twilio API. Please check your credentials and network connection.');
       }
-    } else {
-      logger.info('No existing job found, creating new export job...');
-
-      // Format the job name based on the type or custom name
-      const jobDate = moment(startDate);
-      const friendlyName = customJobName 
-        ? `Job_Custom_${customJobName}`
-        : args[0] === '--month' 
-          ? `${jobPrefix}_${jobDate.format('YYYY_MM')}`
-          : `${jobPrefix}_${startDate.replace(/-/g, '_')}`;
-
-      logger.info(`Creating new export job with name: ${friendlyName}`);
-      
-      job = await createExportJob({
-        resourceType: 'Messages',
-        startDay: startDate,
-        endDay: endDate,
-        friendlyName,
-      });
-
-      logger.info('Waiting for export job to complete...');
-      logger.info('This may take several minutes depending on the date range size.');
-      logger.info('Twilio needs to process each day of data before it\'s available for download.');
-      
-      job = await pollExportJobCompletion(
-        resourceType,
-        job.jobSid,
-        expectedDays,
-        60,
-        { 
-          pollIntervalMs: 30000,
-          initialWaitMs: 60000
-        }
-      );
+      logger.info('Twilio API connection test passed successfully');
     }
 
-    logger.info('Starting download of completed export job...');
-    const jobFolder = await downloadCustomJobExports({
-      jobIdentifier: job.jobSid,
-      userStart: startDate,
-      userEnd: endDate
-    });
-
-    logger.info('Processing downloaded files...');
-    const processingResult = await processFiles(jobFolder);
-    
-    if (processingResult && processingResult.count > 0) {
-      logger.info(`✔ Export automation completed successfully with ${processingResult.count} records`, {
-        recordCount: processingResult.count,
-        csvPath: processingResult.path,
-        jobFolder
-      });
-      return { 
-        success: true, 
-        jobFolder,
-        recordCount: processingResult.count,
-        csvPath: processingResult.path
-      };
-    } else {
-      logger.warn('Export completed, but no records were processed');
-      return { success: true, jobFolder, recordCount: 0 };
-    }
+    const result = await HANDLERS[command](parsed, processingOptions, resource);
+    return { ...result, exitCode: exitCodeForResult(result) };
 
   } catch (error) {
+    const exitCode = started ? exitCodeForError(error.message) : EXIT_CODES.USAGE;
+
     // Detailed error logging
     logger.error('✗ Export automation failed', { 
       error: error.message, 
       stack: error.stack,
-      args: JSON.stringify(args)
+      args: JSON.stringify(args),
+      exitCode
     });
     
     // User-friendly error output
     console.error('\n===== ERROR DETAILS =====');
     console.error(error.message);
+
+    if (exitCode === EXIT_CODES.USAGE) {
+      console.error(`\nRun "node index.js ${command ? `${command} ` : ''}--help" for usage.`);
+    }
     
     // If it's an authentication error, provide more helpful information
-    if (error.message.includes('unauthorized') || error.message.includes('auth')) {
+    if (exitCode === EXIT_CODES.AUTH) {
       console.error('\nThis appears to be an authentication error. Please check:');
       console.error('1. Your Twilio credentials in the .env file are correct');
       console.error('2. Your account has access to the Bulk Exports API');
@@ -185,8 +263,8 @@ async function runAutomation(args) {
     }
     
     // Return error for programmatic handling
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, exitCode };
   }
 }
 
-module.exports = { runAutomation };
\ No newline at end of file
+module.exports = { runAutomation };
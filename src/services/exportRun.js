@@ -0,0 +1,119 @@
+const logger = require('../utils/logger');
+const { downloadCustomJobExports } = require('./twilio/download');
+const { processFiles } = require('./fileProcessor');
+
+/**
+ * Name of the job for one chunk of a range; a range that is split into several jobs gets numbered parts.
+ *
+ * @param {string} name - Name of the run.
+ * @param {number} index - Index of the chunk.
+ * @param {number} count - Number of chunks.
+ * @returns {string} The job name, e.g. Job_Custom_audit_part1of2
+ */
+function chunkJobName(name, index, count) {
+  return count > 1 ? `${name}_part${index + 1}of${count}` : name;
+}
+
+/**
+ * Name of the folder a run is downloaded into: a single job keeps its own name, and the jobs of a
+ * split range share a folder named after the run.
+ *
+ * @param {Array<{jobSid: string, friendlyName?: string}>} jobs - The jobs of the run.
+ * @param {string} name - Name of the run.
+ * @returns {string} The folder name, before it is sanitized (see download.js)
+ */
+function runFolderName(jobs, name) {
+  return jobs.length > 1 ? name : (jobs[0].friendlyName || jobs[0].jobSid);
+}
+
+/**
+ * Downloads the days of one or more completed export jobs and processes them into one output.
+ * The jobs of a range that was split into several jobs are downloaded into a single job folder,
+ * named after the whole range, and their records are de-duplicated unless the options say otherwise.
+ * Follow-up jobs for failed days (see followUp.js) are downloaded into the same folder.
+ *
+ * @param {Object} params
+ * @param {Array<{jobSid: string, friendlyName?: string, startDate: string, endDate: string}>} params.jobs - The jobs
+ *   and the days to download from each.
+ * @param {Array<{jobSid: string, startDate: string, endDate: string}>} [params.followUps] - Follow-up jobs for failed days.
+ * @param {string[]} [params.failedDays] - Days Twilio could not export, reported with the outcome.
+ * @param {string} params.name - Name of the run; the job folder when there are several jobs.
+ * @param {Object} params.resource - The resource type (see config/resources.js).
+ * @param {Object} params.processingOptions - The effective processing options.
+ * @returns {Promise<{success: boolean, jobFolder?: string, recordCount: number, failedDays?: string[], period?: Object}>} The
+ *   outcome of the run; `period` is the local period and the UTC export days that covered it, when the options have one
+ */
+async function downloadAndProcessJobs({ jobs, followUps = [], failedDays = [], name, resource, processingOptions }) {
+  // Follow-up jobs join the run's folder
+  const folderName = runFolderName(jobs, name);
+
+  logger.info('Starting download of completed export job...');
+  let jobFolder;
+  for (const [index, job] of [...jobs, ...followUps].entries()) {
+    const chunkFolder = await downloadCustomJobExports({
+      jobIdentifier: job.jobSid,
+      userStart: job.startDate,
+      userEnd: job.endDate,
+      resourceType: resource.name,
+      concurrency: processingOptions.concurrency,
+      folderName: jobs.length > 1 || index >= jobs.length ? folderName : undefined
+    });
+    jobFolder = chunkFolder || jobFolder;
+  }
+
+  // The period and the days that are still missing are listed last, so they are not lost among the processing logs
+  const { exportPeriod } = processingOptions;
+  const finish = result => {
+    if (exportPeriod) {
+      const { exportDays } = exportPeriod;
+      logger.info(`Covered ${exportPeriod.startDate} to ${exportPeriod.endDate} (${exportPeriod.timeZone}) with the UTC export days ` +
+        `${exportDays.startDate} to ${exportDays.endDate} (${exportDays.count} days)`);
+      result = { ...result, period: exportPeriod };
+    }
+    if (failedDays.length === 0) {
+      return result;
+    }
+    logger.warn(`${failedDays.length} day(s) could not be exported by Twilio and are missing from the output: ${failedDays.join(', ')}`);
+    return { ...result, failedDays };
+  };
+
+  if (!jobFolder) {
+    logger.warn(`No ${resource.noun} between ${jobs[0].startDate} and ${jobs[jobs.length - 1].endDate}`);
+    return finish({ success: true, recordCount: 0 });
+  }
+
+  logger.info('Processing downloaded files...');
+  const processingResult = await processFiles(jobFolder, {
+    ...processingOptions,
+    // Merged chunks are de-duplicated unless the options say otherwise
+    dedupe: processingOptions.dedupe ?? jobs.length > 1
+  });
+
+  if (processingResult && processingResult.count > 0) {
+    logger.info(`✔ Export automation completed successfully with ${processingResult.count} records`, {
+      recordCount: processingResult.count,
+      droppedCount: processingResult.dropped,
+      csvPath: processingResult.path,
+      jobFolder
+    });
+    return finish({
+      success: true,
+      jobFolder,
+      recordCount: processingResult.count,
+      droppedCount: processingResult.dropped,
+      outsidePeriodCount: processingResult.outsidePeriod,
+      csvPath: processingResult.path,
+      outputs: processingResult.outputs,
+      indexPath: processingResult.indexPath
+    });
+  }
+
+  logger.warn('Export completed, but no records were processed');
+  return finish({ success: true, jobFolder, recordCount: 0 });
+}
+
+module.exports = {
+  chunkJobName,
+  runFolderName,
+  downloadAndProcessJobs
+};
@@ -4,21 +4,250 @@ const path = require('path');
 const zlib = require('zlib');
 const readline = require('readline');
 const logger = require('../utils/logger');
+const { createOutputSet } = require('./writers/partitions');
+const { FILE_DATE_FIELD, parseColumnSpec, defaultColumns } = require('../utils/columns');
+const { compileFilters } = require('../utils/filter');
+const { createSummary } = require('./reports/summary');
+const { createCostReport } = require('./reports/cost');
+const { compilePrivacyPolicy } = require('../utils/privacy');
+const { createSqliteWriter } = require('./writers/sqliteWriter');
+const { quarantineFile } = require('./twilio/integrity');
+const { getResource } = require('../config/resources');
+const { DEFAULT_TIME_ZONE, formatLocalTime } = require('../utils/timezone');
+
+// Day files are named export_YYYY-MM-DD.json.gz, so a plain sort is a date sort
+const DAY_FILE_PATTERN = /^export_(\d{4}-\d{2}-\d{2})\.json\.gz$/;
+
+// Maximum number of JSON parse errors logged per file
+const MAX_PARSE_ERRORS = 10;
+
+/**
+ * Lists the day files in a "files" folder, ordered from the oldest to the newest day.
+ *
+ * @param {string} filesDir - The folder containing the downloaded .json.gz files.
+ * @returns {Promise<Array<{filename: string, filePath: string, fileDate: string|null}>>}
+ */
+async function listDayFiles(filesDir) {
+  const files = await fsExtra.readdir(filesDir);
+  return files
+    .filter(file => file.endsWith('.json.gz'))
+    .sort()
+    .map(filename => {
+      const match = filename.match(DAY_FILE_PATTERN);
+      return {
+        filename,
+        filePath: path.join(filesDir, filename),
+        fileDate: match ? match[1] : null
+      };
+    });
+}
+
+/**
+ * Streams the records of a single gzipped day file, one parsed JSON line at a time.
+ * Each record gets the file's date attached as `fileDate`.
+ * Parse errors are logged and skipped; read or decompression errors are thrown.
+ *
+ * @param {{filename: string, filePath: string, fileDate: string|null}} dayFile - The day file to read.
+ * @yields {Object} Parsed record
+ */
+async function* readDayFile({ filename, filePath, fileDate }) {
+  const fileStream = fs.createReadStream(filePath);
+  const gunzip = zlib.createGunzip();
+  // pipe() does not forward errors, so surface read errors through the gunzip stream
+  fileStream.on('error', err => gunzip.destroy(err));
+
+  const rl = readline.createInterface({
+    input: fileStream.pipe(gunzip),
+    crlfDelay: Infinity
+  });
+
+  let lineCount = 0;
+  let errorCount = 0;
+
+  try {
+    for await (const line of rl) {
+      lineCount++;
+      if (line.trim().length === 0) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        errorCount++;
+        if (errorCount <= MAX_PARSE_ERRORS) {
+          logger.error(`Error parsing JSON in file ${filename} at line ${lineCount}: ${err.message}`, {
+            file: filename,
+            line: lineCount,
+            error: err.message
+          });
+        }
+        if (errorCount === MAX_PARSE_ERRORS) {
+          logger.warn(`Too many parse errors in file ${filename}, suppressing further errors`);
+        }
+        continue;
+      }
+
+      record.fileDate = fileDate;
+      yield record;
+    }
+  } finally {
+    rl.close();
+    fileStream.destroy();
+  }
+}
+
+/**
+ * Runs a callback for every record of every day file, in date order.
+ * A file that cannot be read is logged and skipped so the remaining days are still processed;
+ * errors thrown by the callback itself abort the whole run.
+ *
+ * @param {Array<Object>} dayFiles - Day files as returned by listDayFiles.
+ * @param {function(Object): (void|Promise<void>)} onRecord - Called with each record.
+ * @returns {Promise<{records: number, failedFiles: string[]}>}
+ */
+async function forEachRecord(dayFiles, onRecord) {
+  let records = 0;
+  const failedFiles = [];
+
+  for (const [index, dayFile] of dayFiles.entries()) {
+    logger.debug(`Processing file ${index + 1}/${dayFiles.length}: ${dayFile.filename}`);
+    let fileRecords = 0;
+    let callbackError = null;
+
+    try {
+      for await (const record of readDayFile(dayFile)) {
+        try {
+          await onRecord(record);
+        } catch (err) {
+          callbackError = err;
+          throw err;
+        }
+        fileRecords++;
+      }
+    } catch (err) {
+      if (err === callbackError) throw err;
+      logger.error(`Error processing file ${dayFile.filename}: ${err.message}`, {
+        file: dayFile.filename,
+        error: err.message,
+        stack: err.stack
+      });
+      failedFiles.push(dayFile.filename);
+    }
+
+    logger.debug(`Processed ${dayFile.filename}: ${fileRecords} records extracted`, {
+      file: dayFile.filename,
+      records: fileRecords,
+      date: dayFile.fileDate
+    });
+    records += fileRecords;
+  }
+
+  return { records, failedFiles };
+}
+
+/**
+ * Collects the union of keys across all records.
+ * Only the key names are kept in memory, not the records themselves.
+ *
+ * @param {Array<Object>} dayFiles - Day files as returned by listDayFiles.
+ * @returns {Promise<{fields: Set<string>, records: number, failedFiles: string[]}>} The fields found, the number
+ *   of records read and the names of the files that could not be read
+ */
+async function collectFields(dayFiles) {
+  const fields = new Set();
+  const { records, failedFiles } = await forEachRecord(dayFiles, record => {
+    Object.keys(record).forEach(key => fields.add(key));
+  });
+  return { fields, records, failedFiles };
+}
+
+/**
+ * Moves day files that could not be read into the job's quarantine folder and fails the run,
+ * as the output would otherwise silently miss those days. Without the file, the download
+ * manifest no longer counts the day as downloaded, so the next download fetches it again.
+ *
+ * @param {string} jobFolder - The job folder.
+ * @param {Array<Object>} dayFiles - Day files as returned by listDayFiles.
+ * @param {string[]} failedFiles - Names of the files that could not be read.
+ * @throws {Error} Always, listing the quarantined files
+ */
+async function quarantineUnreadableFiles(jobFolder, dayFiles, failedFiles) {
+  const quarantineFolder = path.join(jobFolder, 'quarantine');
+  for (const filename of failedFiles) {
+    const dayFile = dayFiles.find(file => file.filename === filename);
+    const quarantinedPath = await quarantineFile(dayFile.filePath, quarantineFolder);
+    logger.warn(`Moved unreadable file ${filename} to ${quarantinedPath}`);
+  }
+  throw new Error(
+    `${failedFiles.length} day file(s) could not be read and were moved to ${quarantineFolder}: ${failedFiles.join(', ')}. ` +
+    'Download the job again to fetch them'
+  );
+}
+
+/**
+ * The instant of a record that decides which day it belongs to: the resource's summary date field
+ * (e.g. date_sent), or its first other timestamp when that is empty.
+ *
+ * @returns {number|null} Milliseconds since the epoch, or null when the record has no timestamp
+ */
+function recordTime(record, resource) {
+  for (const field of [resource.summary.dateField, ...resource.dateFields]) {
+    const time = record[field] ? Date.parse(record[field]) : NaN;
+    if (!isNaN(time)) {
+      return time;
+    }
+  }
+  return null;
+}
 
 /**
  * Process downloaded .json.gz files:
- * - Reads files from the "files" subfolder of the job folder,
- * - Decompresses each file,
- * - Parses each JSON record (each line),
- * - Combines records from all files,
- * - Sorts records so that records from the oldest date file appear first,
- * - Generates a semicolon-separated CSV file and saves it in the job folder.
+ * - Reads files from the "files" subfolder of the job folder, oldest date first,
+ * - Uses the column spec when given; otherwise makes a first pass to find the fields
+ *   present in the records and orders them the way Twilio does,
+ * - Makes a (second) pass that decompresses each file, parses each JSON record (each line),
+ *   drops records outside the local period of the run (--tz), drops records that do not match
+ *   the --where filters, applies the privacy policies and streams the rest to one writer per
+ *   requested output format in the job folder,
+ * - Optionally adds <field>_local columns with the resource's timestamps in the --tz time zone (--local-times),
+ * - Optionally drops records whose ID (e.g. sid) was already exported (--dedupe), e.g. when merging several jobs,
+ * - Optionally upserts the records into the resource's table (messages, calls, ...) of a SQLite database,
+ * - Optionally splits the output into parts (per day, month, field value or row count)
+ *   and lists them in export_index.json,
+ * - Fails when a day file cannot be read, after moving it to the quarantine folder,
+ * - Aggregates the exported records into summary.json/.csv and, when requested,
+ *   cost_report.json/.csv in the same pass.
+ *
+ * Records are never held in memory all at once, so memory use does not grow with the date range.
  *
  * @param {string} jobFolder - The folder where the job data is stored.
- * @returns {Promise<{path: string, count: number}>} - Path to the CSV file and record count
+ * @param {Object} [options] - Processing options.
+ * @param {string} [options.resource] - Resource type of the records, e.g. Calls (see config/resources.js); defaults to Messages.
+ * @param {string[]} [options.formats] - Output formats (see writers/index.js); defaults to CSV.
+ * @param {string|Object} [options.dialect] - CSV dialect profile name or overrides (see config/dialects.js).
+ * @param {string|Array} [options.columns] - Column spec selecting, ordering and renaming fields (see utils/columns.js).
+ * @param {boolean} [options.includeFileDate=true] - Add the fileDate column when no column spec is given.
+ * @param {string|string[]} [options.where] - Filter expressions; a record is kept when all match (see utils/filter.js).
+ * @param {string} [options.split] - Split the output: day, month, field:<name> or rows:<n> (see writers/partitions.js).
+ * @param {boolean} [options.summary=true] - Write summary.json and summary.csv (see reports/summary.js).
+ * @param {boolean} [options.costReport] - Write cost_report.json and cost_report.csv (see reports/cost.js).
+ * @param {string} [options.expectedTotal] - Expected total spend to reconcile against; implies costReport.
+ * @param {string|Object} [options.privacy] - Privacy profile name or per-field policies (see utils/privacy.js).
+ * @param {string} [options.sqlite] - SQLite database file to upsert the records into (see writers/sqliteWriter.js).
+ * @param {boolean} [options.dedupe] - Drop records with an ID that was already exported; the seen IDs are kept in memory.
+ * @param {string} [options.tz] - Time zone of the local time columns; defaults to UTC.
+ * @param {boolean} [options.localTimes] - Add a <field>_local column after each of the resource's localTimeFields.
+ * @param {Object} [options.exportPeriod] - The local period of the run and its UTC export days (see utils/timezone.js);
+ *   outside UTC, records from the export days that fall outside the period are dropped. Stated in the summary.
+ * @returns {Promise<{path: string, count: number, dropped: number, duplicates: number, outsidePeriod: number,
+ *   outputs: Array<{format: string, path: string, count: number}>, parts: Array, indexPath: string|null,
+ *   summary: Object|null, costReport: Object|null, database: Object|null, unexportedFields: string[]}>}
+ *   Path to the first output file, number of records written, dropped, removed as duplicates and outside the period, every output
+ *   and part written, the index file when split, the summary and cost reports, the database load counts, and
+ *   the fields found in the data that are not part of the output
  * @throws {Error} If file processing fails
  */
-async function processFiles(jobFolder) {
+async function processFiles(jobFolder, options = {}) {
   try {
     logger.info(`Processing files in folder: ${jobFolder}`);
 
@@ -29,178 +258,246 @@ async function processFiles(jobFolder) {
 
     // Files are located in the "files" subfolder
     const filesDir = path.join(jobFolder, 'files');
-    
+
     // Check if files folder exists
     if (!await fsExtra.pathExists(filesDir)) {
       throw new Error(`Files folder ${filesDir} does not exist`);
     }
-    
-    const files = await fsExtra.readdir(filesDir);
-    const jsonGzFiles = files.filter(file => file.endsWith('.json.gz'));
-    
-    if (jsonGzFiles.length === 0) {
+
+    const resource = getResource(options.resource);
+    const filter = compileFilters(options.where || [], resource);
+    const privacy = compilePrivacyPolicy(options.privacy, { knownFields: resource.fields });
+    const dayFiles = await listDayFiles(filesDir);
+
+    if (dayFiles.length === 0) {
       logger.warn(`No .json.gz files found in ${filesDir}`);
-      return { path: null, count: 0 };
-    }
-    
-    logger.info(`Found ${jsonGzFiles.length} .json.gz files to process.`);
-
-    // Process each file concurrently.
-    const fileProcessPromises = jsonGzFiles.map(async (filename, index) => {
-      const filePath = path.join(filesDir, filename);
-      // Extract the date from the filename (expects format: export_YYYY-MM-DD.json.gz)
-      const match = filename.match(/export_(\d{4}-\d{2}-\d{2})\.json\.gz/);
-      let fileDate = match ? match[1] : null;
-      const records = [];
-      
-      logger.debug(`Processing file ${index + 1}/${jsonGzFiles.length}: ${filename}`);
-      
-      try {
-        // Create a read stream and pipe it through gunzip.
-        const fileStream = fs.createReadStream(filePath);
-        const gunzip = zlib.createGunzip();
-        const stream = fileStream.pipe(gunzip);
-        
-        // Use readline to process the file line by line.
-        const rl = readline.createInterface({
-          input: stream,
-          crlfDelay: Infinity
-        });
-        
-        let lineCount = 0;
-        let errorCount = 0;
-        
-        for await (const line of rl) {
-          lineCount++;
-          if (line.trim().length === 0) continue;
-          try {
-            const record = JSON.parse(line);
-            // Attach the file's date (for later sorting)
-            record.fileDate = fileDate;
-            records.push(record);
-          } catch (err) {
-            errorCount++;
-            logger.error(`Error parsing JSON in file ${filename} at line ${lineCount}: ${err.message}`, {
-              file: filename,
-              line: lineCount,
-              error: err.message
-            });
-            // Only log up to 10 parse errors per file
-            if (errorCount >= 10) {
-              logger.warn(`Too many parse errors in file ${filename}, suppressing further errors`);
-              break;
-            }
-          }
-        }
-        
-        logger.debug(`Processed ${filename}: ${records.length} records extracted`, {
-          file: filename,
-          records: records.length,
-          date: fileDate
-        });
-        
-        return records;
-      } catch (err) {
-        logger.error(`Error processing file ${filename}: ${err.message}`, {
-          file: filename,
-          error: err.message,
-          stack: err.stack
-        });
-        return []; // Return empty array to continue with other files
+      return { path: null, count: 0, dropped: 0, duplicates: 0, outsidePeriod: 0, outputs: [], parts: [], indexPath: null, summary: null, costReport: null, database: null, unexportedFields: [] };
+    }
+
+    logger.info(`Found ${dayFiles.length} .json.gz files to process.`);
+
+    let columns;
+    if (options.columns) {
+      columns = parseColumnSpec(options.columns, resource.fields);
+      logger.info(`Using column spec with ${columns.length} columns: ${columns.map(col => col.field).join(', ')}`);
+    } else {
+      // First pass: determine output columns based on union of keys across all records.
+      const { fields, records: recordsFound, failedFiles } = await collectFields(dayFiles);
+      if (failedFiles.length > 0) {
+        await quarantineUnreadableFiles(jobFolder, dayFiles, failedFiles);
       }
-    });
 
-    // Wait for all files to finish processing and flatten the results.
-    const recordsArrays = await Promise.all(fileProcessPromises);
-    let allRecords = recordsArrays.flat();
+      if (recordsFound === 0) {
+        logger.warn('No valid records found in any of the files');
+        return { path: null, count: 0, dropped: 0, duplicates: 0, outsidePeriod: 0, outputs: [], parts: [], indexPath: null, summary: null, costReport: null, database: null, unexportedFields: [] };
+      }
 
-    if (allRecords.length === 0) {
-      logger.warn('No valid records found in any of the files');
-      return { path: null, count: 0 };
+      const defaults = defaultColumns(fields, { includeFileDate: options.includeFileDate !== false, knownFields: resource.fields });
+      columns = defaults.columns;
+      if (defaults.extraFields.length > 0) {
+        logger.warn(`Unknown field(s) found in the data and appended as columns: ${defaults.extraFields.join(', ')}`);
+      }
     }
 
-    // Sort records so that those from the oldest date file come first.
-    allRecords.sort((a, b) => {
-      if (a.fileDate < b.fileDate) return -1;
-      if (a.fileDate > b.fileDate) return 1;
-      return 0;
-    });
+    if (privacy) {
+      // Dropped fields are left out of the output entirely, even when named in the column spec
+      columns = columns.filter(col => !privacy.droppedFields.has(col.field));
+      logger.info(`Privacy policies applied to: ${privacy.fields.join(', ')}`);
+    }
 
-    logger.info(`Total records processed: ${allRecords.length}`);
+    // Track which record fields are exported and which are left out
+    const exportedFields = new Set(columns.map(col => col.field));
+    const seenFields = new Set();
 
-    // Determine CSV columns based on union of keys across all records.
-    const allKeys = new Set();
-    allRecords.forEach(record => {
-      Object.keys(record).forEach(key => allKeys.add(key));
-    });
-    const columns = Array.from(allKeys);
+    // Local times follow their timestamp column and are derived from the exported (possibly redacted) value
+    const timeZone = options.tz || DEFAULT_TIME_ZONE;
+    const localFields = options.localTimes ? resource.localTimeFields.filter(field => exportedFields.has(field)) : [];
+    if (localFields.length > 0) {
+      columns = columns.flatMap(col => (localFields.includes(col.field)
+        ? [col, { field: `${col.field}_local`, header: `${col.header}_local` }]
+        : [col]));
+      logger.info(`Adding local times in ${timeZone} for: ${localFields.join(', ')}`);
+    }
+    const withLocalTimes = record => {
+      const row = { ...record };
+      localFields.forEach(field => { row[`${field}_local`] = formatLocalTime(record[field], timeZone); });
+      return row;
+    };
 
-    // Build CSV content with a header row.
-    const headerLine = columns.join(';');
-    const csvLines = [headerLine];
+    // In UTC the export days are the period; elsewhere they reach past it on one or both ends
+    const period = options.exportPeriod && options.exportPeriod.timeZone !== DEFAULT_TIME_ZONE ? options.exportPeriod : null;
+    const periodStart = period ? Date.parse(period.start) : null;
+    const periodEnd = period ? Date.parse(period.end) : null;
 
-    // Convert each record into a CSV row.
-    allRecords.forEach((record, index) => {
-      try {
-        const row = columns.map(col => {
-          let cell = record[col] !== undefined && record[col] !== null ? record[col] : '';
-          // If the cell is an object, stringify it.
-          if (typeof cell === 'object') {
-            cell = JSON.stringify(cell);
+    // Second pass: stream each record to the writers of its output part.
+    // Output files are saved in the main job folder (not in the "files" subfolder)
+    const output = createOutputSet(jobFolder, options);
+    const summary = options.summary !== false ? createSummary(resource, { period: options.exportPeriod }) : null;
+    const costReport = options.costReport || options.expectedTotal
+      ? createCostReport({ expectedTotal: options.expectedTotal, resource })
+      : null;
+    const reports = [['summary', summary], ['cost', costReport]].filter(([, report]) => report);
+    const database = options.sqlite ? createSqliteWriter(options.sqlite, resource) : null;
+    let result;
+    let databaseResult = null;
+    let count = 0;
+    let dropped = 0;
+    let duplicates = 0;
+    let outsidePeriod = 0;
+    let failedFiles = [];
+    const seenIds = options.dedupe ? new Set() : null;
+
+    try {
+      await output.open(columns);
+      if (database) {
+        await database.open();
+      }
+
+      ({ failedFiles } = await forEachRecord(dayFiles, async record => {
+        for (const key in record) {
+          seenFields.add(key);
+        }
+        if (period) {
+          const time = recordTime(record, resource);
+          if (time !== null && (time < periodStart || time >= periodEnd)) {
+            outsidePeriod++;
+            return;
           }
-          if (typeof cell === 'string') {
-            // Replace newline characters with a space.
-            cell = cell.replace(/\r?\n|\r/g, ' ');
-            // Escape double quotes.
-            cell = cell.replace(/"/g, '""');
-            
-            // If this column is a phone number field, wrap it to force text formatting in Excel.
-            if (col === 'to' || col === 'from') {
-              // Wrap in formula syntax: ="value"
-              cell = `="` + cell + `"`;
-            } else if (cell.includes(';') || cell.includes('"')) {
-              // Wrap in quotes if the cell contains semicolons or quotes.
-              cell = `"${cell}"`;
-            }
-
-            if (col === 'price') {
-              // Replace period with comma for the price.
-              cell = cell.replace('.', ',');
-            }
+        }
+        if (filter && !filter(record)) {
+          dropped++;
+          return;
+        }
+        const id = record[resource.idField];
+        if (seenIds && id) {
+          if (seenIds.has(id)) {
+            duplicates++;
+            return;
           }
-          return cell;
-        }).join(';');
-        csvLines.push(row);
-      } catch (err) {
-        logger.error(`Error formatting record at index ${index}: ${err.message}`, {
-          recordIndex: index,
-          error: err.message
-        });
-        // Add a placeholder row with an error indicator
-        csvLines.push(`"ERROR_FORMATTING_RECORD_${index}"`);
-      }
-    });
+          seenIds.add(id);
+        }
+        // Filters match the original values; outputs and reports only see the redacted record
+        const exported = privacy ? privacy.apply(record) : record;
+        await output.write(localFields.length > 0 ? withLocalTimes(exported) : exported);
+        if (database) {
+          await database.write(exported);
+        }
+        reports.forEach(([, report]) => report.add(exported));
+        count++;
+      }));
 
-    const csvContent = csvLines.join('\n');
-    // Save the CSV file in the main job folder (not in the "files" subfolder)
-    const outputPath = path.join(jobFolder, 'export.csv');
-    
-    try {
-      await fsExtra.writeFile(outputPath, csvContent);
-      logger.info(`CSV file has been written to: ${outputPath}`, {
-        path: outputPath,
-        records: allRecords.length,
-        sizeKB: Math.round(csvContent.length / 1024)
-      });
-      return { path: outputPath, count: allRecords.length };
+      if (failedFiles.length === 0) {
+        result = await output.close();
+        if (database) {
+          databaseResult = await database.close();
+        }
+      }
     } catch (err) {
-      logger.error(`Error writing CSV file: ${err.message}`, {
-        path: outputPath,
+      output.abort();
+      if (database) {
+        database.abort();
+      }
+      logger.error(`Error writing output files: ${err.message}`, {
+        jobFolder,
         error: err.message,
         stack: err.stack
       });
-      throw new Error(`Failed to write CSV file: ${err.message}`);
+      throw new Error(`Failed to write output files: ${err.message}`);
+    }
+
+    if (failedFiles.length > 0) {
+      output.abort();
+      if (database) {
+        database.abort();
+      }
+      await quarantineUnreadableFiles(jobFolder, dayFiles, failedFiles);
+    }
+
+    if (filter) {
+      logger.info(`Filter kept ${count} of ${count + dropped} records (${dropped} dropped)`, {
+        recordCount: count,
+        dropped
+      });
+    } else {
+      logger.info(`Total records processed: ${count}`);
+    }
+
+    if (outsidePeriod > 0) {
+      logger.info(`Left out ${outsidePeriod} record(s) from the UTC export days that fall outside ${period.startDate} to ${period.endDate} in ${period.timeZone}`);
+    }
+
+    if (duplicates > 0) {
+      logger.info(`Removed ${duplicates} duplicate record(s) with a ${resource.idField} that was already exported`);
+    }
+
+    if (count + dropped + duplicates + outsidePeriod === 0) {
+      logger.warn('No valid records found in any of the files');
+    } else if (count === 0) {
+      logger.warn('No records matched the filter');
+    }
+
+    const unexportedFields = [...seenFields].filter(field =>
+      !exportedFields.has(field) && field !== FILE_DATE_FIELD && !(privacy && privacy.droppedFields.has(field)));
+    if (unexportedFields.length > 0) {
+      logger.warn(`Field(s) present in the data but not exported: ${unexportedFields.join(', ')}`);
+    }
+    const missingFields = [...exportedFields].filter(field => !seenFields.has(field));
+    if (count + dropped + duplicates + outsidePeriod > 0 && missingFields.length > 0) {
+      logger.warn(`Column(s) not present in any record (written empty): ${missingFields.join(', ')}`);
+    }
+
+    const { outputs, parts, indexPath } = result;
+    if (indexPath) {
+      logger.info(`Output split by ${options.split} into ${parts.length} part(s); index written to: ${indexPath}`);
+    } else {
+      outputs.forEach(file => {
+        logger.info(`${file.format.toUpperCase()} file has been written to: ${file.path}`, {
+          path: file.path,
+          records: file.count,
+          sizeKB: file.bytes !== undefined ? Math.round(file.bytes / 1024) : undefined
+        });
+      });
     }
+
+    if (databaseResult) {
+      logger.info(
+        `Loaded ${databaseResult.count} records into ${databaseResult.path} ` +
+        `(${databaseResult.inserted} new, ${databaseResult.updated} updated)`,
+        databaseResult
+      );
+      if (databaseResult.skipped > 0) {
+        logger.warn(`${databaseResult.skipped} record(s) without a ${resource.idField} were not loaded into the database`);
+      }
+    }
+
+    for (const [name, report] of reports) {
+      try {
+        const { jsonPath, csvPath } = await report.write(jobFolder, options);
+        logger.info(`${name[0].toUpperCase()}${name.slice(1)} report has been written to: ${jsonPath} and ${csvPath}`);
+      } catch (err) {
+        logger.error(`Error writing ${name} report: ${err.message}`, {
+          jobFolder,
+          error: err.message,
+          stack: err.stack
+        });
+        throw new Error(`Failed to write ${name} report: ${err.message}`);
+      }
+    }
+
+    return {
+      path: outputs.length > 0 ? outputs[0].path : null,
+      count,
+      dropped,
+      duplicates,
+      outsidePeriod,
+      outputs,
+      parts,
+      indexPath,
+      summary: summary ? summary.toJSON() : null,
+      costReport: costReport ? costReport.toJSON() : null,
+      database: databaseResult,
+      unexportedFields
+    };
   } catch (error) {
     logger.error('Error in processFiles', {
       error: error.message,
@@ -211,4 +508,4 @@ async function processFiles(jobFolder) {
   }
 }
 
-module.exports = { processFiles };
\ No newline at end of file
+module.exports = { processFiles };
@@ -0,0 +1,186 @@
+const logger = require('../../utils/logger');
+const { formatTable } = require('../../utils/table');
+const { generateDaysBetweenDates } = require('../../utils/dateUtils');
+const { listExportCustomJobs, findJob } = require('../twilio/jobLookup');
+const { isJobComplete, deleteExportJob } = require('../twilio/export');
+const { loadJobHistory } = require('../twilio/jobHistory');
+
+// Day statuses reported in job.details that have their own column in `jobs list`;
+// any other status (e.g. Submitted, Running) is counted as pending
+const DAY_COLUMNS = [
+  { status: 'Completed', header: 'Data' },
+  { status: 'CompletedEmptyRecords', header: 'Empty' },
+  { status: 'Failed', header: 'Failed' }
+];
+
+/**
+ * Counts the days of a job per status, e.g. { Completed: 5, CompletedEmptyRecords: 2 }.
+ */
+function countDaysByStatus(job) {
+  const counts = {};
+  (Array.isArray(job.details) ? job.details : []).forEach(detail => {
+    counts[detail.status] = (counts[detail.status] || 0) + (detail.count || 0);
+  });
+  return counts;
+}
+
+/**
+ * Describes a job for output; `createdAt` comes from the local job history and is null
+ * for jobs this tool did not create.
+ */
+function describeJob(job, historyEntry) {
+  return {
+    friendlyName: job.friendlyName || null,
+    jobSid: job.jobSid,
+    resourceType: job.resourceType || null,
+    startDay: job.startDay,
+    endDay: job.endDay,
+    days: countDaysByStatus(job),
+    createdAt: historyEntry ? historyEntry.createdAt : null,
+    jobQueuePosition: job.jobQueuePosition ?? null,
+    estimatedCompletionTime: job.estimatedCompletionTime ?? null
+  };
+}
+
+/**
+ * Finds the job for show, status and delete. Deleting requires the exact SID or name,
+ * so a partial name can never remove the wrong job.
+ */
+async function lookupJob(identifier, resource, { exact = false } = {}) {
+  const job = await findJob(identifier, resource.name);
+  if (exact && job.jobSid !== identifier && job.friendlyName !== identifier) {
+    throw new Error(`"${identifier}" only partly matches job "${job.friendlyName}" (${job.jobSid}); use its full name or SID`);
+  }
+  return job;
+}
+
+/**
+ * jobs list: one row per export job of the resource type.
+ */
+async function listJobs({ json }, resource) {
+  const jobs = await listExportCustomJobs(resource.name);
+  const history = await loadJobHistory();
+  const described = jobs.map(job => describeJob(job, history[job.jobSid]));
+
+  if (json) {
+    console.log(JSON.stringify(described, null, 2));
+  } else if (described.length === 0) {
+    console.log(`No ${resource.name} export jobs found.`);
+  } else {
+    const known = new Set(DAY_COLUMNS.map(column => column.status));
+    console.log(formatTable(
+      ['Name', 'SID', 'Range', ...DAY_COLUMNS.map(column => column.header), 'Pending', 'Created'],
+      described.map(job => [
+        job.friendlyName,
+        job.jobSid,
+        `${job.startDay} to ${job.endDay}`,
+        ...DAY_COLUMNS.map(column => job.days[column.status] || 0),
+        Object.entries(job.days).filter(([status]) => !known.has(status)).reduce((sum, [, count]) => sum + count, 0),
+        job.createdAt ? job.createdAt.slice(0, 16).replace('T', ' ') : null
+      ])
+    ));
+  }
+  return { success: true, jobs: described };
+}
+
+/**
+ * jobs show <id>: the status of every day of the job's range, from job.details.
+ */
+async function showJob({ identifier, json }, resource) {
+  const job = await lookupJob(identifier, resource);
+  const history = await loadJobHistory();
+  const statusByDay = new Map();
+  (Array.isArray(job.details) ? job.details : []).forEach(detail => {
+    (Array.isArray(detail.days) ? detail.days : []).forEach(day => statusByDay.set(day, detail.status));
+  });
+  const days = generateDaysBetweenDates(job.startDay, job.endDay)
+    .map(day => ({ day, status: statusByDay.get(day) || null }));
+  const described = { ...describeJob(job, history[job.jobSid]), dayStatuses: days };
+
+  if (json) {
+    console.log(JSON.stringify(described, null, 2));
+  } else {
+    console.log(`${job.friendlyName || 'No Name'} (${job.jobSid}), ${job.startDay} to ${job.endDay}\n`);
+    console.log(formatTable(['Day', 'Status'], days.map(entry => [entry.day, entry.status || 'Not reported'])));
+  }
+  return { success: true, job: described };
+}
+
+/**
+ * jobs status <id>: whether the job has finished all days of its range (see isJobComplete).
+ */
+async function jobStatus({ identifier, json }, resource) {
+  const job = await lookupJob(identifier, resource);
+  const expectedDays = generateDaysBetweenDates(job.startDay, job.endDay).length;
+  const completion = isJobComplete(job, expectedDays);
+  const days = countDaysByStatus(job);
+  const status = {
+    friendlyName: job.friendlyName || null,
+    jobSid: job.jobSid,
+    startDay: job.startDay,
+    endDay: job.endDay,
+    expectedDays,
+    ...completion,
+    failedDays: days.Failed || 0,
+    jobQueuePosition: job.jobQueuePosition ?? null,
+    estimatedCompletionTime: job.estimatedCompletionTime ?? null
+  };
+
+  if (json) {
+    console.log(JSON.stringify(status, null, 2));
+  } else {
+    const lines = [
+      `Job:     ${status.friendlyName || 'No Name'} (${status.jobSid})`,
+      `Range:   ${status.startDay} to ${status.endDay} (${expectedDays} days)`,
+      `Status:  ${completion.message}`
+    ];
+    if (status.failedDays > 0) {
+      lines.push(`Failed:  ${status.failedDays} day(s)`);
+    }
+    if (!completion.isComplete && (status.jobQueuePosition !== null || status.estimatedCompletionTime !== null)) {
+      lines.push(`Queue:   position ${status.jobQueuePosition ?? '-'}, estimated completion ${status.estimatedCompletionTime ?? '-'}`);
+    }
+    console.log(lines.join('\n'));
+  }
+  return { success: true, status };
+}
+
+/**
+ * jobs delete <id>: deletes the job from Twilio. Downloaded job folders are kept.
+ */
+async function deleteJob({ identifier, json }, resource) {
+  const job = await lookupJob(identifier, resource, { exact: true });
+  await deleteExportJob(job.jobSid);
+  const deleted = { friendlyName: job.friendlyName || null, jobSid: job.jobSid };
+  console.log(json ? JSON.stringify({ deleted }, null, 2) : `Deleted job ${deleted.friendlyName || 'No Name'} (${deleted.jobSid})`);
+  return { success: true, deleted };
+}
+
+const COMMANDS = {
+  list: listJobs,
+  show: showJob,
+  status: jobStatus,
+  delete: deleteJob
+};
+
+/**
+ * Runs a job management command on the export jobs of a resource type:
+ *   jobs list             Table of jobs with their range, day counts per status and creation date
+ *   jobs show <id>        Status of every day of a job
+ *   jobs status <id>      Whether a job has completed
+ *   jobs delete <id>      Deletes a job, given by its exact SID or name
+ * Each command prints JSON instead of text with --json. Jobs are identified by SID or name.
+ *
+ * @param {Object} settings
+ * @param {string} settings.command - list, show, status or delete.
+ * @param {string} [settings.identifier] - SID or name of the job, for show, status and delete.
+ * @param {boolean} [settings.json] - Print JSON instead of text.
+ * @param {Object} resource - The resource type whose jobs are managed (see config/resources.js).
+ * @returns {Promise<{success: boolean}>} The command's result, with the data it printed
+ */
+async function runJobs(settings, resource) {
+  logger.debug(`Running jobs ${settings.command}`, { resourceType: resource.name, identifier: settings.identifier });
+  return COMMANDS[settings.command](settings, resource);
+}
+
+module.exports = { runJobs };
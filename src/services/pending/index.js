@@ -0,0 +1,193 @@
+const logger = require('../../utils/logger');
+const { generateDaysBetweenDates } = require('../../utils/dateUtils');
+const { getResource } = require('../../config/resources');
+const { getJob, isJobFinished, startExportJob } = require('../twilio/export');
+const { DEFAULT_FOLLOW_UPS, failedDaysOf, startFollowUpJobs } = require('../twilio/followUp');
+const { chunkJobName, downloadAndProcessJobs } = require('../exportRun');
+const { PENDING_FILE, loadPendingRuns, savePendingRuns } = require('./store');
+
+/**
+ * Creates or reuses the export jobs of a run and records them as pending instead of waiting for them.
+ * Running the same range again replaces the pending run of the same name.
+ *
+ * @param {Object} params
+ * @param {string} params.name - Name of the run; the job name, or the base name of the jobs of a split range.
+ * @param {Array<{startDate: string, endDate: string}>} params.chunks - The ranges to create a job for.
+ * @param {Object} params.resource - The resource type (see config/resources.js).
+ * @param {Object} params.processingOptions - The effective processing options, applied again by `resume`.
+ * @returns {Promise<{success: boolean, detached: boolean, name: string, jobs: Array}>} The recorded run
+ */
+async function detachRun({ name, chunks, resource, processingOptions }) {
+  const started = await Promise.all(chunks.map((chunk, index) => startExportJob({
+    resourceType: resource.name,
+    ...chunk,
+    friendlyName: chunkJobName(name, index, chunks.length)
+  })));
+  const jobs = started.map(({ job }, index) => ({
+    jobSid: job.jobSid,
+    friendlyName: job.friendlyName || null,
+    startDate: chunks[index].startDate,
+    endDate: chunks[index].endDate
+  }));
+
+  const runs = await loadPendingRuns();
+  runs[name] = {
+    name,
+    resourceType: resource.name,
+    startDate: chunks[0].startDate,
+    endDate: chunks[chunks.length - 1].endDate,
+    jobs,
+    processingOptions: {
+      ...processingOptions,
+      // Decided now, while the number of jobs is known
+      dedupe: processingOptions.dedupe ?? chunks.length > 1
+    },
+    detachedAt: new Date().toISOString()
+  };
+  await savePendingRuns(runs);
+
+  jobs.forEach((job, index) => logger.info(
+    `${started[index].reused ? 'Reusing' : 'Created'} job ${job.friendlyName || 'No Name'} (${job.jobSid}) for ${job.startDate} to ${job.endDate}`
+  ));
+  logger.info(`✔ Detached: ${name} is recorded in ${PENDING_FILE}. Run "npm run resume" to download it once complete`);
+  return { success: true, detached: true, name, jobs };
+}
+
+/**
+ * Checks the jobs of a pending run, including its follow-up jobs.
+ *
+ * @returns {Promise<{isFinished: boolean, message: string, jobs: Array}>} Whether every job has finished,
+ *   with a progress message and the fetched jobs, in the order of the run's jobs and then its follow-up jobs
+ * @throws {Error} If a job cannot be fetched
+ */
+async function checkRun(run) {
+  const runJobs = [...run.jobs, ...(run.followUps || [])];
+  const messages = [];
+  const jobs = [];
+  let isFinished = true;
+  for (const { jobSid, startDate, endDate } of runJobs) {
+    const job = await getJob(run.resourceType, jobSid);
+    const progress = isJobFinished(job, generateDaysBetweenDates(startDate, endDate).length);
+    isFinished = isFinished && progress.isFinished;
+    messages.push(runJobs.length > 1 ? `${jobSid}: ${progress.message}` : progress.message);
+    jobs.push(job);
+  }
+  return { isFinished, message: messages.join('; '), jobs };
+}
+
+/**
+ * Lists the days that failed in the last round of a finished run: in its jobs, or in its latest
+ * follow-up jobs, which retried the days that failed before.
+ *
+ * @param {Object} run - The pending run.
+ * @param {Array} jobs - The fetched jobs of the run (see checkRun).
+ * @returns {{round: number, failedDays: string[]}} The number of follow-up rounds so far, and the failed days
+ */
+function lastRoundFailedDays(run, jobs) {
+  const entries = [...run.jobs, ...(run.followUps || [])].map((entry, index) => ({ ...entry, job: jobs[index] }));
+  const round = Math.max(0, ...entries.map(entry => entry.round || 0));
+  const failedDays = entries
+    .filter(entry => (entry.round || 0) === round)
+    .flatMap(({ job, startDate, endDate }) => failedDaysOf(job, startDate, endDate));
+  return { round, failedDays: [...new Set(failedDays)].sort() };
+}
+
+/**
+ * Checks every pending run (see detachRun), downloads and processes the runs whose jobs have all
+ * finished, and leaves the others pending. Runs are processed with the options they were detached with.
+ * Resume never waits for Twilio: when a finished run has failed days and follow-up rounds left, the
+ * follow-up jobs are created and recorded with the run, which stays pending until they finish too.
+ * A run whose job no longer exists is dropped and reported as failed; one that fails to download stays pending.
+ *
+ * @returns {Promise<{success: boolean, completed: Array, pending: Array, failed: Array, failedDays: string[],
+ *   error?: string}>} What happened to each run, and the days Twilio could not export in the completed runs;
+ *   success is false when a run failed, with the reasons in error
+ */
+async function runResume() {
+  const runs = await loadPendingRuns();
+  const names = Object.keys(runs);
+  if (names.length === 0) {
+    logger.info('No pending jobs to resume');
+    return { success: true, completed: [], pending: [], failed: [], failedDays: [] };
+  }
+  logger.info(`Checking ${names.length} pending run(s)...`);
+
+  const completed = [];
+  const pending = [];
+  const failed = [];
+  const settle = async name => {
+    delete runs[name];
+    await savePendingRuns(runs);
+  };
+
+  for (const name of names) {
+    const run = runs[name];
+    let status;
+    try {
+      status = await checkRun(run);
+    } catch (error) {
+      if (/not found/i.test(error.message)) {
+        logger.error(`Dropping pending run ${name}: ${error.message}`);
+        failed.push({ name, error: error.message });
+        await settle(name);
+      } else {
+        logger.warn(`Could not check pending run ${name}, leaving it pending: ${error.message}`);
+        pending.push({ name, message: error.message });
+      }
+      continue;
+    }
+
+    if (!status.isFinished) {
+      logger.info(`${name} is still running (${status.message}); leaving it pending`);
+      pending.push({ name, message: status.message });
+      continue;
+    }
+
+    try {
+      const { round, failedDays } = lastRoundFailedDays(run, status.jobs);
+      const maxFollowUps = run.processingOptions.followUps ?? DEFAULT_FOLLOW_UPS;
+      if (failedDays.length > 0 && round < maxFollowUps) {
+        const followUps = await startFollowUpJobs({ resourceType: run.resourceType, failedDays, name, round: round + 1, maxFollowUps });
+        run.followUps = [...(run.followUps || []), ...followUps];
+        await savePendingRuns(runs);
+        const message = `created ${followUps.length} follow-up job(s) for ${failedDays.length} failed day(s)`;
+        logger.info(`${name} ${message}; leaving it pending until they finish`);
+        pending.push({ name, message });
+        continue;
+      }
+      if (round > 0 && failedDays.length === 0) {
+        logger.info(`✔ Follow-up job(s) exported all failed days`);
+      }
+
+      logger.info(`${name} is complete (${status.message}); downloading...`);
+      const result = await downloadAndProcessJobs({
+        jobs: run.jobs,
+        followUps: run.followUps || [],
+        failedDays,
+        name,
+        resource: getResource(run.resourceType),
+        processingOptions: run.processingOptions
+      });
+      completed.push({ name, jobFolder: result.jobFolder || null, recordCount: result.recordCount, failedDays: result.failedDays || [] });
+      await settle(name);
+    } catch (error) {
+      logger.error(`Failed to download ${name}, leaving it pending: ${error.message}`);
+      failed.push({ name, error: error.message });
+    }
+  }
+
+  logger.info(`Resume finished: ${completed.length} completed, ${pending.length} pending, ${failed.length} failed`);
+  return {
+    success: failed.length === 0,
+    completed,
+    pending,
+    failed,
+    failedDays: [...new Set(completed.flatMap(run => run.failedDays))].sort(),
+    ...(failed.length > 0 && { error: failed.map(run => `${run.name}: ${run.error}`).join('; ') })
+  };
+}
+
+module.exports = {
+  detachRun,
+  runResume
+};
@@ -0,0 +1,52 @@
+const { join } = require('path');
+const fsExtra = require('fs-extra');
+const config = require('../../config/config');
+
+/**
+ * Runs started with --detach whose jobs have not been downloaded yet, keyed by run name.
+ */
+const PENDING_FILE = join(config.downloadsFolder, 'pending_jobs.json');
+
+/**
+ * Reads the pending runs.
+ *
+ * @param {string} [filePath] - Path to the pending jobs file.
+ * @returns {Promise<Object<string, {name: string, resourceType: string, startDate: string, endDate: string,
+ *   jobs: Array<{jobSid: string, startDate: string, endDate: string}>,
+ *   followUps?: Array<{jobSid: string, startDate: string, endDate: string, round: number}>, processingOptions: Object,
+ *   detachedAt: string}>>} Runs keyed by name; empty when nothing is pending
+ * @throws {Error} If the file exists but cannot be read
+ */
+async function loadPendingRuns(filePath = PENDING_FILE) {
+  if (!await fsExtra.pathExists(filePath)) {
+    return {};
+  }
+  let runs;
+  try {
+    runs = await fsExtra.readJson(filePath);
+  } catch (error) {
+    throw new Error(`Failed to read pending jobs ${filePath}: ${error.message}`);
+  }
+  if (!runs || typeof runs !== 'object' || Array.isArray(runs)) {
+    throw new Error(`Pending jobs file ${filePath} must contain a JSON object`);
+  }
+  return runs;
+}
+
+/**
+ * Writes the pending runs through a temporary file, so an interrupted write never loses them.
+ *
+ * @param {Object} runs - Runs keyed by name.
+ * @param {string} [filePath] - Path to the pending jobs file.
+ */
+async function savePendingRuns(runs, filePath = PENDING_FILE) {
+  const tempPath = `${filePath}.tmp`;
+  await fsExtra.outputJson(tempPath, runs, { spaces: 2 });
+  await fsExtra.move(tempPath, filePath, { overwrite: true });
+}
+
+module.exports = {
+  PENDING_FILE,
+  loadPendingRuns,
+  savePendingRuns
+};
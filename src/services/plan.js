@@ -0,0 +1,94 @@
+const { join } = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { formatTable } = require('../utils/table');
+const { generateDaysBetweenDates } = require('../utils/dateUtils');
+const { findExistingJob, isJobFinished } = require('./twilio/export');
+const { listExportCustomJobs } = require('./twilio/jobLookup');
+const { sanitizeFolderName } = require('./twilio/download');
+const { chunkJobName, runFolderName } = require('./exportRun');
+
+/**
+ * Works out what an export run would do for each of its jobs, without creating jobs or writing files:
+ * reuse an existing job (whose files were found to be still available), wait for one that is still
+ * running, or create a new one. Jobs for the same range that cannot be reused, e.g. because their
+ * files have expired, are counted.
+ *
+ * @param {Object} params
+ * @param {string} params.name - Name of the run; the job name, or the base name of the jobs of a split range.
+ * @param {Array<{startDate: string, endDate: string}>} params.chunks - The ranges the run needs a job for.
+ * @param {Object} params.resource - The resource type (see config/resources.js).
+ * @param {Object} params.processingOptions - The effective processing options.
+ * @param {boolean} [params.detach] - Whether the run would record its jobs as pending instead of waiting.
+ * @param {Object} [params.period] - The local period and the UTC export days that cover it (see utils/timezone.js).
+ * @returns {Promise<{success: boolean, dryRun: boolean, plan: Object}>} The plan, which is also printed
+ */
+async function planExportRun({ name, chunks, resource, processingOptions, detach = false, period }) {
+  const jobs = [];
+  for (const [index, chunk] of chunks.entries()) {
+    const friendlyName = chunkJobName(name, index, chunks.length);
+    const expectedDays = generateDaysBetweenDates(chunk.startDate, chunk.endDate).length;
+    const existing = await findExistingJob(resource.name, chunk.startDate, chunk.endDate, expectedDays);
+
+    let action, job = null, message;
+    if (existing && existing.needsWaiting) {
+      action = 'wait';
+      job = existing.job;
+      message = `Wait for ${job.friendlyName || 'No Name'} (${job.jobSid}): ${isJobFinished(job, expectedDays).message}`;
+    } else if (existing) {
+      action = 'reuse';
+      job = existing.job;
+      message = `Reuse ${job.friendlyName || 'No Name'} (${job.jobSid}): ${isJobFinished(job, expectedDays).message}, files still available`;
+    } else {
+      action = 'create';
+      const unusable = (await listExportCustomJobs(resource.name))
+        .filter(candidate => candidate.startDay === chunk.startDate && candidate.endDay === chunk.endDate);
+      message = `Create ${friendlyName}` +
+        (unusable.length > 0 ? `; ${unusable.length} existing job(s) for the range cannot be reused (files expired or unavailable)` : '');
+    }
+    jobs.push({
+      ...chunk,
+      expectedDays,
+      action,
+      friendlyName: job ? job.friendlyName || null : friendlyName,
+      jobSid: job ? job.jobSid : null,
+      message
+    });
+  }
+
+  const plan = {
+    resourceType: resource.name,
+    startDate: chunks[0].startDate,
+    endDate: chunks[chunks.length - 1].endDate,
+    expectedDays: jobs.reduce((sum, job) => sum + job.expectedDays, 0),
+    jobs,
+    // New jobs get their name only once created, so the planned name stands in for their SID
+    jobFolder: join(config.downloadsFolder, sanitizeFolderName(runFolderName(
+      jobs.map(job => ({ jobSid: job.jobSid || job.friendlyName, friendlyName: job.friendlyName })),
+      name
+    ))),
+    formats: processingOptions.formats.length > 0 ? processingOptions.formats : ['csv'],
+    detach,
+    period: period || null
+  };
+
+  console.log([
+    `Dry run: no jobs were created and no files were written`,
+    '',
+    ...(period ? [`Period:   ${period.startDate} to ${period.endDate} (${period.timeZone})`] : []),
+    `Range:    ${plan.startDate} to ${plan.endDate} (${plan.expectedDays} UTC export days of ${plan.resourceType})`,
+    `Folder:   ${plan.jobFolder}`,
+    `Output:   ${plan.formats.join(', ')}`,
+    `Then:     ${detach ? 'record the jobs as pending and exit (--detach)' : 'wait for the jobs, then download and process the days'}`,
+    '',
+    formatTable(
+      ['Job', 'Range', 'Days', 'Plan'],
+      jobs.map(job => [job.friendlyName, `${job.startDate} to ${job.endDate}`, job.expectedDays, job.message])
+    )
+  ].join('\n'));
+  logger.info(`Dry run planned ${jobs.length} job(s): ${jobs.map(job => job.action).join(', ')}`);
+
+  return { success: true, dryRun: true, plan };
+}
+
+module.exports = { planExportRun };
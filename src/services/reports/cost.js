@@ -0,0 +1,253 @@
+const logger = require('../../utils/logger');
+const { writeReportFiles } = require('./reportFiles');
+const { FILE_DATE_FIELD } = require('../../utils/columns');
+const { parseAmount, formatAmount, toNumber } = require('../../utils/money');
+const { lookupCountry } = require('../../utils/countryCodes');
+const { getResource } = require('../../config/resources');
+
+// Differences up to one cent are treated as rounding when comparing with the expected total
+const RECONCILIATION_TOLERANCE = parseAmount('0.01');
+
+// Number of record IDs listed for records without a price
+const MAX_MISSING_PRICE_SIDS = 100;
+
+/**
+ * Parses an expected total such as "123.45" or "USD:123.45".
+ *
+ * @param {string|number} value - The expected total, optionally prefixed with a currency.
+ * @returns {{currency: string|null, amount: number}} The currency (null when not given) and amount in micro-units
+ * @throws {Error} If the value is not a valid amount
+ */
+function parseExpectedTotal(value) {
+  const text = String(value).trim();
+  const match = text.match(/^(?:([A-Za-z]{3})\s*:\s*)?(.+)$/);
+  const amount = match ? parseAmount(match[2]) : null;
+  if (amount === null) {
+    throw new Error(`Invalid expected total: ${value}. Use an amount such as 123.45 or USD:123.45`);
+  }
+  return { currency: match[1] ? match[1].toUpperCase() : null, amount: Math.abs(amount) };
+}
+
+/**
+ * Returns the value as a grouping key, using "unknown" for missing values.
+ */
+function groupKey(value) {
+  return value === undefined || value === null || value === '' ? 'unknown' : String(value);
+}
+
+/**
+ * Tells whether a resource type has prices a cost report can be built from (Messages and Calls).
+ *
+ * @param {Object} resource - The resource type (see config/resources.js).
+ * @returns {boolean}
+ */
+function hasPrices(resource) {
+  return resource.decimalFields.includes('price');
+}
+
+/**
+ * Adds a record and its spend to a group of a breakdown; `count` names the record counter, e.g. "messages".
+ */
+function addToGroup(breakdown, key, count, currency, spend) {
+  const group = breakdown[key] || (breakdown[key] = { [count]: 0, spend: {} });
+  group[count]++;
+  if (spend !== null) {
+    group.spend[currency] = (group.spend[currency] || 0) + spend;
+  }
+}
+
+/**
+ * Converts a breakdown's micro-unit amounts into numbers for the JSON report.
+ */
+function breakdownToJSON(breakdown, count) {
+  const result = {};
+  Object.keys(breakdown).sort().forEach(key => {
+    const spend = {};
+    Object.keys(breakdown[key].spend).sort().forEach(currency => {
+      spend[currency] = toNumber(breakdown[key].spend[currency]);
+    });
+    result[key] = { [count]: breakdown[key][count], spend };
+  });
+  return result;
+}
+
+/**
+ * Creates an accumulator for the cost report. Prices are parsed exactly (see utils/money.js) and
+ * reported as spend, i.e. with Twilio's negative charge amounts turned into positive costs.
+ *
+ * The report totals spend per currency, per day, per sender, per destination country (derived from
+ * the E.164 prefix of `to`) and, for messages, per segment count, lists records without a price, and
+ * optionally compares the total with an expected figure such as the amount on a Twilio invoice.
+ * Records are counted under the resource's name, e.g. `messages` or `calls`.
+ *
+ * @param {Object} [settings]
+ * @param {string|number} [settings.expectedTotal] - Expected total spend, e.g. "USD:123.45".
+ * @param {Object} [settings.resource] - The resource type of the records; defaults to Messages.
+ * @returns {{add: function(Object): void, toJSON: function(): Object,
+ *   write: function(string, Object=): Promise<{jsonPath: string, csvPath: string}>}}
+ * @throws {Error} If the resource type has no prices
+ */
+function createCostReport({ expectedTotal, resource = getResource() } = {}) {
+  if (!hasPrices(resource)) {
+    throw new Error(`${resource.name} records have no price; the cost report is available for Messages and Calls`);
+  }
+  const count = resource.noun;
+  const segmentsField = resource.summary.segmentsField;
+  const expected = expectedTotal !== undefined && expectedTotal !== null && expectedTotal !== ''
+    ? parseExpectedTotal(expectedTotal)
+    : null;
+  const totals = {};
+  const byDay = {};
+  const bySender = {};
+  const byCountry = {};
+  const bySegments = {};
+  const missingPrice = { [count]: 0, byStatus: {}, sids: [] };
+  let records = 0;
+
+  function reconcile() {
+    if (!expected) {
+      return null;
+    }
+    const currencies = Object.keys(totals);
+    const currency = expected.currency || (currencies.length === 1 ? currencies[0] : null);
+    if (!currency) {
+      return {
+        expected: toNumber(expected.amount),
+        error: `Expected total has no currency and the export contains ${currencies.length === 0 ? 'no prices' : `several currencies (${currencies.join(', ')})`}; use e.g. USD:123.45`
+      };
+    }
+    const actual = totals[currency] || 0;
+    const difference = actual - expected.amount;
+    return {
+      currency,
+      expected: toNumber(expected.amount),
+      actual: toNumber(actual),
+      difference: toNumber(difference),
+      matches: Math.abs(difference) <= RECONCILIATION_TOLERANCE
+    };
+  }
+
+  function toJSON() {
+    const total = {};
+    Object.keys(totals).sort().forEach(currency => {
+      total[currency] = toNumber(totals[currency]);
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      [count]: records,
+      total,
+      byDay: breakdownToJSON(byDay, count),
+      bySender: breakdownToJSON(bySender, count),
+      byCountry: breakdownToJSON(byCountry, count),
+      ...(segmentsField && { bySegments: breakdownToJSON(bySegments, count) }),
+      missingPrice,
+      reconciliation: reconcile()
+    };
+  }
+
+  return {
+    add(record) {
+      records++;
+
+      const price = parseAmount(record.price);
+      const currency = groupKey(record.price_unit).toUpperCase();
+      // Twilio reports charges as negative prices
+      const spend = price === null ? null : -price;
+
+      if (spend === null) {
+        missingPrice[count]++;
+        const status = groupKey(record[resource.summary.statusField]);
+        missingPrice.byStatus[status] = (missingPrice.byStatus[status] || 0) + 1;
+        if (missingPrice.sids.length < MAX_MISSING_PRICE_SIDS && record[resource.idField]) {
+          missingPrice.sids.push(record[resource.idField]);
+        }
+      } else {
+        totals[currency] = (totals[currency] || 0) + spend;
+      }
+
+      const destination = lookupCountry(record.to);
+      const dateValue = record[resource.summary.dateField];
+      addToGroup(byDay, groupKey(record[FILE_DATE_FIELD] || (dateValue && String(dateValue).slice(0, 10))), count, currency, spend);
+      addToGroup(bySender, groupKey(record.from), count, currency, spend);
+      addToGroup(byCountry, destination ? `${destination.country} (${destination.callingCode})` : 'unknown', count, currency, spend);
+      if (segmentsField) {
+        addToGroup(bySegments, groupKey(record[segmentsField]), count, currency, spend);
+      }
+    },
+
+    toJSON,
+
+    /**
+     * Writes cost_report.json and cost_report.csv into the job folder and logs the reconciliation result.
+     * The CSV is a long table (section, key, currency, <count>, spend) in the selected CSV dialect,
+     * where <count> is the record counter, e.g. messages or calls.
+     *
+     * @param {string} jobFolder - The folder to write the files to.
+     * @param {Object} [options] - Processing options; `dialect` selects the CSV dialect.
+     */
+    async write(jobFolder, options = {}) {
+      const report = toJSON();
+      const rows = [];
+
+      Object.entries(report.total).forEach(([currency, spend]) => {
+        rows.push(['total', '', currency, '', spend]);
+      });
+      [['by_day', report.byDay], ['by_sender', report.bySender], ['by_country', report.byCountry], ['by_segments', report.bySegments]]
+        .filter(([, breakdown]) => breakdown)
+        .forEach(([section, breakdown]) => {
+          Object.entries(breakdown).forEach(([key, group]) => {
+            const currencies = Object.keys(group.spend);
+            if (currencies.length === 0) {
+              rows.push([section, key, '', group[count], '']);
+            }
+            currencies.forEach(currency => rows.push([section, key, currency, group[count], group.spend[currency]]));
+          });
+        });
+      rows.push(['missing_price', '', '', report.missingPrice[count], '']);
+      Object.entries(report.missingPrice.byStatus).forEach(([status, count]) => {
+        rows.push(['missing_price_by_status', status, '', count, '']);
+      });
+
+      const reconciliation = report.reconciliation;
+      if (reconciliation && !reconciliation.error) {
+        rows.push(['expected_total', '', reconciliation.currency, '', reconciliation.expected]);
+        rows.push(['difference', reconciliation.matches ? 'match' : 'mismatch', reconciliation.currency, '', reconciliation.difference]);
+      }
+
+      if (report.missingPrice[count] > 0) {
+        logger.warn(`${report.missingPrice[count]} ${count} have no price`, {
+          byStatus: report.missingPrice.byStatus
+        });
+      }
+      if (reconciliation) {
+        if (reconciliation.error) {
+          logger.warn(`Cost reconciliation skipped: ${reconciliation.error}`);
+        } else if (reconciliation.matches) {
+          logger.info(`Cost total ${formatAmount(parseAmount(reconciliation.actual))} ${reconciliation.currency} matches the expected total`);
+        } else {
+          logger.warn(
+            `Cost total ${formatAmount(parseAmount(reconciliation.actual))} ${reconciliation.currency} differs from the expected ` +
+            `${formatAmount(parseAmount(reconciliation.expected))} by ${formatAmount(parseAmount(reconciliation.difference))}`
+          );
+        }
+      }
+
+      return writeReportFiles(
+        jobFolder,
+        'cost_report',
+        report,
+        ['section', 'key', 'currency', count, 'spend'],
+        rows,
+        options,
+        ['spend']
+      );
+    }
+  };
+}
+
+module.exports = {
+  hasPrices,
+  createCostReport,
+  parseExpectedTotal
+};
@@ -0,0 +1,48 @@
+const path = require('path');
+const fsExtra = require('fs-extra');
+const { createDelimitedWriter } = require('../writers/delimitedWriter');
+const { resolveDialect } = require('../../config/dialects');
+
+/**
+ * Writes a report as <baseName>.json and as a long table in <baseName>.csv.
+ * The CSV uses the selected CSV dialect; values in `decimalColumns` are written with its decimal separator.
+ *
+ * @param {string} jobFolder - The folder to write the files to.
+ * @param {string} baseName - File name without extension, e.g. "summary".
+ * @param {Object} report - The report, written as JSON.
+ * @param {string[]} columns - CSV column names.
+ * @param {Array<Array>} rows - CSV rows, one value per column.
+ * @param {Object} [options] - Processing options; `dialect` selects the CSV dialect.
+ * @param {string[]} [decimalColumns] - Columns holding decimal numbers.
+ * @returns {Promise<{jsonPath: string, csvPath: string}>}
+ */
+async function writeReportFiles(jobFolder, baseName, report, columns, rows, options = {}, decimalColumns = []) {
+  const dialect = resolveDialect(options.dialect);
+
+  const jsonPath = path.join(jobFolder, `${baseName}.json`);
+  await fsExtra.writeJson(jsonPath, report, { spaces: 2 });
+
+  const csvPath = path.join(jobFolder, `${baseName}.csv`);
+  const writer = createDelimitedWriter(csvPath, dialect);
+  try {
+    await writer.open(columns.map(field => ({ field, header: field })));
+    for (const row of rows) {
+      const record = {};
+      columns.forEach((column, index) => {
+        const value = row[index];
+        record[column] = decimalColumns.includes(column) && value !== '' && value !== null && value !== undefined
+          ? String(value).replace('.', dialect.decimalSeparator)
+          : value;
+      });
+      await writer.write(record);
+    }
+    await writer.close();
+  } catch (err) {
+    writer.abort();
+    throw err;
+  }
+
+  return { jsonPath, csvPath };
+}
+
+module.exports = { writeReportFiles };
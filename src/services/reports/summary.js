@@ -0,0 +1,189 @@
+const { writeReportFiles } = require('./reportFiles');
+const { FILE_DATE_FIELD } = require('../../utils/columns');
+const { parseAmount, toNumber } = require('../../utils/money');
+const { getResource } = require('../../config/resources');
+
+/**
+ * Increments a counter in a plain object.
+ */
+function increment(counts, key, amount = 1) {
+  counts[key] = (counts[key] || 0) + amount;
+}
+
+/**
+ * Returns the value as a grouping key, using "unknown" for missing values.
+ */
+function groupKey(value) {
+  return value === undefined || value === null || value === '' ? 'unknown' : String(value);
+}
+
+/**
+ * Rounds a ratio for the report.
+ */
+function round(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * Creates an accumulator for the summary report. Records are added one at a time during
+ * the processing pass, so only the aggregated counts are kept in memory.
+ *
+ * The summary holds record counts by day × status, by direction and by sender, total segments
+ * (Messages) or total duration in seconds (Calls, Conferences, Participants), total price per price unit,
+ * and success/failure/error rates. Which fields are used, and which statuses count as successful
+ * (e.g. delivered messages, completed calls), comes from the resource type (see config/resources.js);
+ * groupings the resource has no field for are left out. Days are the UTC export days of the files.
+ * When the run covered a period (see utils/timezone.js), the summary also states the period, its time zone
+ * and the UTC export days used to cover it.
+ *
+ * @param {Object} [resource] - The resource type of the records; defaults to Messages.
+ * @param {Object} [options]
+ * @param {Object} [options.period] - The local period of the run and its export days, as from describePeriod.
+ * @returns {{add: function(Object): void, toJSON: function(): Object,
+ *   write: function(string, Object=): Promise<{jsonPath: string, csvPath: string}>}}
+ */
+function createSummary(resource = getResource(), { period = null } = {}) {
+  const fields = resource.summary;
+  const succeededStatuses = new Set(fields.succeeded.statuses);
+  const failedStatuses = new Set(fields.failedStatuses);
+  const byDayStatus = {};
+  const byDirection = {};
+  const byFrom = {};
+  const priceByUnit = {};
+  let records = 0;
+  let segments = 0;
+  let duration = 0;
+  let succeeded = 0;
+  let failed = 0;
+  let withErrorCode = 0;
+
+  function toJSON() {
+    const rate = count => (records > 0 ? round(count / records, 4) : 0);
+    const price = {};
+    Object.keys(priceByUnit).sort().forEach(unit => {
+      price[unit] = toNumber(priceByUnit[unit]);
+    });
+
+    const rates = { [fields.succeeded.count]: succeeded, failed };
+    if (fields.errorField) rates.withErrorCode = withErrorCode;
+    rates[fields.succeeded.rate] = rate(succeeded);
+    rates.failureRate = rate(failed);
+    if (fields.errorField) rates.errorRate = rate(withErrorCode);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      ...(period && {
+        period: {
+          timeZone: period.timeZone,
+          startDate: period.startDate,
+          endDate: period.endDate,
+          exportDays: period.exportDays
+        }
+      }),
+      records,
+      byDayStatus,
+      ...(fields.directionField && { byDirection }),
+      ...(fields.senderField && { byFrom }),
+      ...(fields.segmentsField && { segments: { total: segments } }),
+      ...(fields.durationField && { duration: { totalSeconds: duration } }),
+      price,
+      rates
+    };
+  }
+
+  return {
+    add(record) {
+      records++;
+
+      const dateValue = record[fields.dateField];
+      const day = groupKey(record[FILE_DATE_FIELD] || (dateValue && String(dateValue).slice(0, 10)));
+      const status = groupKey(record[fields.statusField]);
+      byDayStatus[day] = byDayStatus[day] || {};
+      increment(byDayStatus[day], status);
+      if (fields.directionField) {
+        increment(byDirection, groupKey(record[fields.directionField]));
+      }
+      if (fields.senderField) {
+        increment(byFrom, groupKey(record[fields.senderField]));
+      }
+
+      if (fields.segmentsField) {
+        const numSegments = Number(record[fields.segmentsField]);
+        if (!isNaN(numSegments)) {
+          segments += numSegments;
+        }
+      }
+      if (fields.durationField) {
+        const seconds = Number(record[fields.durationField]);
+        if (record[fields.durationField] !== '' && !isNaN(seconds)) {
+          duration += seconds;
+        }
+      }
+
+      const price = parseAmount(record.price);
+      if (price !== null) {
+        increment(priceByUnit, groupKey(record.price_unit), price);
+      }
+
+      if (succeededStatuses.has(status)) succeeded++;
+      if (failedStatuses.has(status)) failed++;
+      const errorCode = fields.errorField ? record[fields.errorField] : null;
+      if (errorCode !== null && errorCode !== undefined && errorCode !== '') {
+        withErrorCode++;
+      }
+    },
+
+    toJSON,
+
+    /**
+     * Writes summary.json and summary.csv into the job folder.
+     * The CSV is a long table (section, key, status, value) in the selected CSV dialect;
+     * its sections are named after the resource, e.g. messages_by_day_status or calls_by_day_status.
+     *
+     * @param {string} jobFolder - The folder to write the files to.
+     * @param {Object} [options] - Processing options; `dialect` selects the CSV dialect.
+     */
+    async write(jobFolder, options = {}) {
+      const summary = toJSON();
+      const noun = resource.noun;
+      const rows = [];
+      if (summary.period) {
+        const { timeZone, startDate, endDate, exportDays } = summary.period;
+        rows.push(['period', 'time_zone', '', timeZone]);
+        rows.push(['period', 'start_date', '', startDate]);
+        rows.push(['period', 'end_date', '', endDate]);
+        rows.push(['export_days', 'start_date', '', exportDays.startDate]);
+        rows.push(['export_days', 'end_date', '', exportDays.endDate]);
+        rows.push(['export_days', 'count', '', exportDays.count]);
+      }
+      Object.keys(summary.byDayStatus).sort().forEach(day => {
+        Object.keys(summary.byDayStatus[day]).sort().forEach(status => {
+          rows.push([`${noun}_by_day_status`, day, status, summary.byDayStatus[day][status]]);
+        });
+      });
+      Object.entries(summary.byDirection || {}).forEach(([direction, count]) => {
+        rows.push([`${noun}_by_direction`, direction, '', count]);
+      });
+      Object.entries(summary.byFrom || {}).sort((a, b) => b[1] - a[1]).forEach(([from, count]) => {
+        rows.push([`${noun}_by_from`, from, '', count]);
+      });
+      if (summary.segments) {
+        rows.push(['segments_total', '', '', summary.segments.total]);
+      }
+      if (summary.duration) {
+        rows.push(['duration_seconds_total', '', '', summary.duration.totalSeconds]);
+      }
+      Object.entries(summary.price).forEach(([unit, total]) => {
+        rows.push(['price_total', unit, '', total]);
+      });
+      rows.push(['records', '', '', summary.records]);
+      [fields.succeeded.rate, 'failureRate', 'errorRate'].filter(rate => rate in summary.rates).forEach(rate => {
+        rows.push(['rate', rate, '', summary.rates[rate]]);
+      });
+
+      return writeReportFiles(jobFolder, 'summary', summary, ['section', 'key', 'status', 'value'], rows, options, ['value']);
+    }
+  };
+}
+
+module.exports = { createSummary };
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const fsExtra = require('fs-extra');
+const logger = require('../../utils/logger');
+const { FORMATS } = require('../writers');
+
+// Bytes read to find the header line of a delimited file
+const HEADER_PROBE_BYTES = 64 * 1024;
+
+/**
+ * Reads the header line of a delimited file.
+ *
+ * @returns {Promise<{header: string, rowsOffset: number}>} The header line (without BOM and line ending)
+ *   and the byte offset where the first row's line break starts, or -1 when the file has no rows
+ */
+async function readHeader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_PROBE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_PROBE_BYTES, 0);
+    const chunk = buffer.subarray(0, bytesRead);
+    const newline = chunk.indexOf('\n');
+    if (newline === -1 && bytesRead === HEADER_PROBE_BYTES) {
+      throw new Error(`Header line of ${filePath} is longer than ${HEADER_PROBE_BYTES} bytes`);
+    }
+    const end = newline === -1 ? bytesRead : (newline > 0 && chunk[newline - 1] === 0x0d ? newline - 1 : newline);
+    return {
+      header: chunk.subarray(0, end).toString('utf8').replace(/^\uFEFF/, ''),
+      rowsOffset: newline === -1 ? -1 : end
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Appends a byte range of a file to another file.
+ */
+async function appendFileRange(sourcePath, targetPath, start) {
+  await new Promise((resolve, reject) => {
+    const reader = fs.createReadStream(sourcePath, { start });
+    const writer = fs.createWriteStream(targetPath, { flags: 'a' });
+    reader.on('error', err => writer.destroy(err));
+    writer.on('error', reject);
+    writer.on('finish', resolve);
+    reader.pipe(writer);
+  });
+}
+
+/**
+ * Finds the dataset files the outputs of a run are appended to, and their current size.
+ *
+ * @param {Array<{format: string, path: string}>} outputs - Output files of the run.
+ * @param {string} datasetFolder - The rolling dataset folder.
+ * @returns {Promise<Array<{path: string, size: number|null}>>} The dataset files; the size is null for
+ *   files the run would create
+ */
+async function measureDataset(outputs, datasetFolder) {
+  const files = [];
+  for (const output of outputs) {
+    if (!FORMATS[output.format] || !FORMATS[output.format].append) {
+      continue;
+    }
+    const targetPath = path.join(datasetFolder, path.basename(output.path));
+    const exists = await fsExtra.pathExists(targetPath);
+    files.push({ path: targetPath, size: exists ? (await fsExtra.stat(targetPath)).size : null });
+  }
+  return files;
+}
+
+/**
+ * Rolls dataset files back to an earlier size, as measured by measureDataset: files that did not
+ * exist are removed and the others are truncated.
+ *
+ * @param {Array<{path: string, size: number|null}>} files - The dataset files and their earlier size.
+ */
+async function rollBackDataset(files) {
+  for (const file of files) {
+    if (file.size === null) {
+      await fsExtra.remove(file.path);
+    } else if (await fsExtra.pathExists(file.path)) {
+      await fs.promises.truncate(file.path, file.size);
+    }
+  }
+}
+
+/**
+ * Appends the output files of a run to the rolling dataset folder, matching files by name.
+ * Files that do not exist in the dataset yet are copied; delimited files are appended without
+ * their header line, which must match the dataset's header. Formats that cannot be appended
+ * (xlsx) are skipped with a warning.
+ *
+ * When any file fails, the files already appended are truncated back to their previous size,
+ * so a failed run never leaves a partial dataset behind.
+ *
+ * @param {Array<{format: string, path: string, count: number}>} outputs - Output files of the run.
+ * @param {string} datasetFolder - The rolling dataset folder.
+ * @returns {Promise<Array<{format: string, path: string, records: number}>>} The dataset files appended to
+ * @throws {Error} If a file cannot be appended
+ */
+async function appendToDataset(outputs, datasetFolder) {
+  await fsExtra.ensureDir(datasetFolder);
+  const previousSizes = new Map();
+  const appended = [];
+
+  try {
+    for (const output of outputs) {
+      const mode = FORMATS[output.format] && FORMATS[output.format].append;
+      if (!mode) {
+        logger.warn(`${output.format} files cannot be appended to the sync dataset; ${path.basename(output.path)} is left in the job folder only`);
+        continue;
+      }
+
+      const targetPath = path.join(datasetFolder, path.basename(output.path));
+      const exists = await fsExtra.pathExists(targetPath);
+      previousSizes.set(targetPath, exists ? (await fsExtra.stat(targetPath)).size : null);
+
+      if (!exists) {
+        await fsExtra.copy(output.path, targetPath);
+      } else if (mode === 'rows') {
+        const source = await readHeader(output.path);
+        const target = await readHeader(targetPath);
+        if (source.header !== target.header) {
+          throw new Error(
+            `Columns of ${path.basename(output.path)} differ from the dataset file ${targetPath}; ` +
+            'keep the column and dialect options unchanged or start a new dataset'
+          );
+        }
+        if (source.rowsOffset !== -1) {
+          await appendFileRange(output.path, targetPath, source.rowsOffset);
+        }
+      } else {
+        await appendFileRange(output.path, targetPath, 0);
+      }
+
+      appended.push({ format: output.format, path: targetPath, records: output.count });
+    }
+  } catch (error) {
+    await rollBackDataset([...previousSizes].map(([targetPath, size]) => ({ path: targetPath, size })));
+    throw new Error(`Failed to append to the sync dataset: ${error.message}`);
+  }
+
+  return appended;
+}
+
+module.exports = {
+  measureDataset,
+  rollBackDataset,
+  appendToDataset
+};
@@ -0,0 +1,218 @@
+const path = require('path');
+const moment = require('moment');
+const fsExtra = require('fs-extra');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const { MAX_DAYS_PER_JOB } = require('../../utils/validation');
+const { generateDaysBetweenDates } = require('../../utils/dateUtils');
+const { ensureCompletedJob } = require('../twilio/export');
+const { withWebhookListener } = require('../twilio/webhook');
+const { runFollowUpJobs } = require('../twilio/followUp');
+const { downloadCustomJobExports, extractDaysFromJob } = require('../twilio/download');
+const { processFiles } = require('../fileProcessor');
+const { parseSplitOption } = require('../writers/partitions');
+const { loadSyncState, saveSyncState, savePendingAppend, loadPendingAppend, clearPendingAppend } = require('./state');
+const { measureDataset, rollBackDataset, appendToDataset } = require('./dataset');
+const { DEFAULT_RESOURCE } = require('../../config/resources');
+
+const DEFAULT_STATE_FILE = path.join(config.downloadsFolder, 'sync_state.json');
+const DEFAULT_DATASET_FOLDER = path.join(config.downloadsFolder, 'sync_dataset');
+
+/**
+ * Default state file and dataset folder of a resource type. Messages keep the plain names;
+ * other resources get their own, e.g. sync_state_calls.json and sync_dataset_calls.
+ */
+function syncDefaults(resource) {
+  if (resource.name === DEFAULT_RESOURCE) {
+    return { statePath: DEFAULT_STATE_FILE, datasetFolder: DEFAULT_DATASET_FOLDER };
+  }
+  return {
+    statePath: path.join(config.downloadsFolder, `sync_state_${resource.noun}.json`),
+    datasetFolder: path.join(config.downloadsFolder, `sync_dataset_${resource.noun}`)
+  };
+}
+
+/**
+ * Checks that every day of the range was exported: each day must either be an empty day of one of the
+ * jobs (the sync job and its follow-up jobs) or have its file in the job folder. Days that failed in
+ * Twilio or failed to download are listed.
+ *
+ * @throws {Error} If any day of the range is missing
+ */
+async function verifyDaysComplete(jobs, jobFolder, startDate, endDate) {
+  const withData = new Set();
+  const empty = new Set();
+  jobs.forEach(job => {
+    const { daysWithData, emptyDays } = extractDaysFromJob(job);
+    daysWithData.forEach(day => withData.add(day));
+    emptyDays.forEach(day => empty.add(day));
+  });
+  const missing = [];
+
+  for (const day of generateDaysBetweenDates(startDate, endDate)) {
+    if (empty.has(day)) continue;
+    const filePath = jobFolder && path.join(jobFolder, 'files', `export_${day}.json.gz`);
+    if (!withData.has(day) || !filePath || !await fsExtra.pathExists(filePath)) {
+      missing.push(day);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      `${missing.length} day(s) were not exported: ${missing.slice(0, 10).join(', ')}` +
+      `${missing.length > 10 ? ` and ${missing.length - 10} more` : ''}. The sync state was not advanced`
+    );
+  }
+}
+
+/**
+ * Incremental sync: exports the days after the last fully exported day (from the state file) up to
+ * yesterday (UTC), appends the processed output to a rolling dataset folder and then advances the state.
+ * The state only moves forward after download, processing and appending all succeed, so a failed run
+ * is simply retried from the same day on the next run. Ranges longer than 366 days are synced over
+ * several runs.
+ *
+ * The first run needs --since to know where to start.
+ *
+ * @param {Object} settings - The sync flags (see utils/cli.js).
+ * @param {string} [settings.since] - First day to sync when there is no state yet.
+ * @param {string} [settings.statePath] - State file; defaults per resource type (see syncDefaults).
+ * @param {string} [settings.datasetFolder] - Dataset folder; defaults per resource type (see syncDefaults).
+ * @param {Object} processingOptions - Effective processing options (see config/options.js).
+ * @param {Object} resource - The resource type (see config/resources.js).
+ * @returns {Promise<{success: boolean, upToDate?: boolean, startDate?: string, endDate?: string,
+ *   jobFolder?: string, recordCount?: number, dataset?: Array}>}
+ */
+async function runSync(settings, processingOptions, resource) {
+  const resourceType = resource.name;
+  const defaults = syncDefaults(resource);
+  const { since } = settings;
+  const statePath = settings.statePath ? path.resolve(settings.statePath) : defaults.statePath;
+  const datasetFolder = settings.datasetFolder ? path.resolve(settings.datasetFolder) : defaults.datasetFolder;
+  const split = parseSplitOption(processingOptions.split, resource.fields);
+  if (split && split.mode === 'rows') {
+    throw new Error('--split rows:<n> cannot be used with sync, as its parts cannot be appended to; use day, month or field:<name>');
+  }
+
+  const state = await loadSyncState(statePath);
+  let startDate;
+  if (state) {
+    if (state.resourceType && state.resourceType !== resourceType) {
+      throw new Error(`Sync state ${statePath} belongs to ${state.resourceType}, not ${resourceType}`);
+    }
+    if (since) {
+      logger.warn(`Ignoring --since ${since}: the sync state continues after ${state.lastExportedDay}`);
+    }
+    startDate = moment.utc(state.lastExportedDay).add(1, 'day').format('YYYY-MM-DD');
+  } else if (since) {
+    startDate = since;
+  } else {
+    throw new Error(`No sync state found at ${statePath}. Run the first sync with --since <YYYY-MM-DD>`);
+  }
+
+  const pending = await loadPendingAppend(statePath);
+  if (pending) {
+    // The state is saved before the marker is removed, so a state through the marked days means the append was kept
+    if (!state || state.lastExportedDay < pending.endDate) {
+      logger.warn(`The sync of ${pending.startDate} to ${pending.endDate} stopped before saving its state; removing what it appended to the dataset`);
+      await rollBackDataset(pending.files);
+    }
+    await clearPendingAppend(statePath);
+  }
+
+  // Twilio's export days are UTC days
+  const yesterday = moment.utc().subtract(1, 'day').format('YYYY-MM-DD');
+  if (startDate > yesterday) {
+    logger.info(`Sync is up to date: there are no complete days from ${startDate} to export yet`);
+    return { success: true, upToDate: true };
+  }
+
+  let endDate = yesterday;
+  const lastAllowed = moment.utc(startDate).add(MAX_DAYS_PER_JOB - 1, 'days').format('YYYY-MM-DD');
+  if (endDate > lastAllowed) {
+    endDate = lastAllowed;
+    logger.warn(`Syncing ${startDate} to ${endDate} (${MAX_DAYS_PER_JOB} days); run sync again for the days up to ${yesterday}`);
+  }
+
+  logger.info(`Syncing ${resourceType} from ${startDate} to ${endDate}`, { statePath, datasetFolder });
+
+  const friendlyName = `${resource.jobPrefix}_Sync_${startDate.replace(/-/g, '_')}_${endDate.replace(/-/g, '_')}`;
+  const { job, followUps } = await withWebhookListener(processingOptions, async webhook => {
+    const syncJob = await ensureCompletedJob({ resourceType, startDate, endDate, friendlyName, webhook });
+    const followUp = await runFollowUpJobs({
+      resourceType,
+      jobs: [{ job: syncJob, startDate, endDate }],
+      name: friendlyName,
+      maxFollowUps: processingOptions.followUps,
+      webhook
+    });
+    return { job: syncJob, ...followUp };
+  });
+
+  logger.info('Starting download of completed export job...');
+  let jobFolder = await downloadCustomJobExports({
+    jobIdentifier: job.jobSid,
+    userStart: startDate,
+    userEnd: endDate,
+    resourceType,
+    concurrency: processingOptions.concurrency
+  });
+  // Follow-up jobs for failed days are downloaded into the sync job's folder
+  for (const followUp of followUps) {
+    jobFolder = await downloadCustomJobExports({
+      jobIdentifier: followUp.jobSid,
+      userStart: followUp.startDate,
+      userEnd: followUp.endDate,
+      resourceType,
+      concurrency: processingOptions.concurrency,
+      folderName: job.friendlyName || job.jobSid
+    }) || jobFolder;
+  }
+  await verifyDaysComplete([job, ...followUps.map(followUp => followUp.job)], jobFolder, startDate, endDate);
+
+  let processingResult = null;
+  let dataset = [];
+  if (jobFolder) {
+    logger.info('Processing downloaded files...');
+    processingResult = await processFiles(jobFolder, processingOptions);
+    await savePendingAppend(statePath, {
+      startDate,
+      endDate,
+      files: await measureDataset(processingResult.outputs, datasetFolder)
+    });
+    dataset = await appendToDataset(processingResult.outputs, datasetFolder);
+    dataset.forEach(file => logger.info(`Appended ${file.records} records to ${file.path}`));
+  } else {
+    logger.info(`No ${resource.noun} between ${startDate} and ${endDate}`);
+  }
+
+  await saveSyncState(statePath, {
+    resourceType,
+    lastExportedDay: endDate,
+    updatedAt: new Date().toISOString(),
+    lastRun: {
+      startDate,
+      endDate,
+      jobSid: job.jobSid,
+      jobFolder: jobFolder || null,
+      records: processingResult ? processingResult.count : 0
+    }
+  });
+  await clearPendingAppend(statePath);
+  logger.info(`✔ Sync completed through ${endDate}; state saved to ${statePath}`);
+
+  return {
+    success: true,
+    startDate,
+    endDate,
+    jobFolder,
+    recordCount: processingResult ? processingResult.count : 0,
+    dataset
+  };
+}
+
+module.exports = {
+  DEFAULT_STATE_FILE,
+  DEFAULT_DATASET_FOLDER,
+  runSync
+};
@@ -0,0 +1,96 @@
+const fsExtra = require('fs-extra');
+
+/**
+ * Reads the sync state file.
+ *
+ * @param {string} statePath - Path to the state file.
+ * @returns {Promise<{resourceType: string, lastExportedDay: string, updatedAt: string, lastRun: Object}|null>}
+ *   The state, or null when no sync has completed yet
+ * @throws {Error} If the file exists but cannot be read
+ */
+async function loadSyncState(statePath) {
+  if (!await fsExtra.pathExists(statePath)) {
+    return null;
+  }
+  let state;
+  try {
+    state = await fsExtra.readJson(statePath);
+  } catch (error) {
+    throw new Error(`Failed to read sync state ${statePath}: ${error.message}`);
+  }
+  if (!state || !/^\d{4}-\d{2}-\d{2}$/.test(state.lastExportedDay)) {
+    throw new Error(`Sync state ${statePath} has no valid lastExportedDay`);
+  }
+  return state;
+}
+
+/**
+ * Writes the sync state file. The state is written to a temporary file first and then
+ * renamed, so an interrupted write never leaves a truncated state behind.
+ *
+ * @param {string} statePath - Path to the state file.
+ * @param {Object} state - The state to write.
+ */
+async function saveSyncState(statePath, state) {
+  const tempPath = `${statePath}.tmp`;
+  await fsExtra.outputJson(tempPath, state, { spaces: 2 });
+  await fsExtra.move(tempPath, statePath, { overwrite: true });
+}
+
+/**
+ * Path of the marker a sync writes next to its state file while it appends to the dataset.
+ */
+function pendingAppendPath(statePath) {
+  return `${statePath}.pending`;
+}
+
+/**
+ * Records that a sync is about to append to the dataset, with the size of each dataset file before the
+ * append. The marker is removed once the state has been saved, so a marker found by a later run means
+ * the append may have happened without the state moving on, and the dataset can be rolled back.
+ *
+ * @param {string} statePath - Path to the state file.
+ * @param {{startDate: string, endDate: string, files: Array<{path: string, size: number|null}>}} pending
+ */
+async function savePendingAppend(statePath, pending) {
+  const markerPath = pendingAppendPath(statePath);
+  await fsExtra.outputJson(`${markerPath}.tmp`, pending, { spaces: 2 });
+  await fsExtra.move(`${markerPath}.tmp`, markerPath, { overwrite: true });
+}
+
+/**
+ * Reads the marker of an append that was not followed by a saved state (see savePendingAppend).
+ *
+ * @param {string} statePath - Path to the state file.
+ * @returns {Promise<{startDate: string, endDate: string, files: Array<{path: string, size: number|null}>}|null>}
+ *   The marker, or null when there is none
+ * @throws {Error} If the marker exists but cannot be read
+ */
+async function loadPendingAppend(statePath) {
+  const markerPath = pendingAppendPath(statePath);
+  if (!await fsExtra.pathExists(markerPath)) {
+    return null;
+  }
+  try {
+    return await fsExtra.readJson(markerPath);
+  } catch (error) {
+    throw new Error(`Failed to read sync marker ${markerPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Removes the append marker (see savePendingAppend).
+ *
+ * @param {string} statePath - Path to the state file.
+ */
+async function clearPendingAppend(statePath) {
+  await fsExtra.remove(pendingAppendPath(statePath));
+}
+
+module.exports = {
+  loadSyncState,
+  saveSyncState,
+  savePendingAppend,
+  loadPendingAppend,
+  clearPendingAppend
+};
@@ -1,6 +1,8 @@
 const twilio = require('twilio');
 const config = require('../../config/config');
 const logger = require('../../utils/logger');
+const { DEFAULT_RESOURCE } = require('../../config/resources');
+const { keepThrottleHeaders } = require('./throttle');
 
 /**
  * Validates Twilio credentials and throws an error if they're invalid
@@ -27,15 +29,17 @@ function validateCredentials() {
  * Tests the Twilio API connection by making a simple request.
  * This is useful for diagnosing authentication issues.
  * 
+ * @param {string} [resourceType] - The resource type whose export jobs are listed (e.g. 'Calls').
  * @returns {Promise<boolean>} True if connection is successful
+ * @throws {Error} If Twilio rejects the credentials
  */
-async function testConnection() {
+async function testConnection(resourceType = DEFAULT_RESOURCE) {
   try {
     logger.info('Testing Twilio API connection...');
     
     // Try to list just one job to verify API access
     const jobs = await client.bulkexports.v1
-      .exports('Messages')
+      .exports(resourceType)
       .exportCustomJobs
       .list({ limit: 1 });
     
@@ -49,6 +53,9 @@ async function testConnection() {
       moreInfo: error.moreInfo,
       details: error.details
     });
+    if (error.status === 401 || error.status === 403) {
+      throw new Error(`Authentication failed (HTTP ${error.status}): ${error.message}`);
+    }
     return false;
   }
 }
@@ -58,9 +65,12 @@ validateCredentials();
 
 /**
  * Initializes and exports the Twilio client instance using credentials from config.
+ * Throttled responses keep their Retry-After header (see throttle.js).
  * Also exports the base URL for direct API access.
  */
-const client = twilio(config.accountSid, config.authToken);
+const client = twilio(config.accountSid, config.authToken, {
+  httpClient: keepThrottleHeaders(new twilio.RequestClient())
+});
 const BASE_URL = 'https://bulkexports.twilio.com/v1/Exports';
 
 logger.info('Twilio client initialized successfully');
@@ -1,50 +1,21 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const fsExtra = require('fs-extra');
-const { join } = require('path');
+const { join, dirname } = require('path');
+const { pipeline } = require('stream/promises');
 const config = require('../../config/config');
 const { generateDaysBetweenDates } = require('../../utils/dateUtils');
 const { colors, cliProgress } = require('../../utils/progress');
 const logger = require('../../utils/logger');
 const { client } = require('./client');
+const { findJob } = require('./jobLookup');
+const { DEFAULT_RESOURCE } = require('../../config/resources');
+const { openManifest, DAY_STATUS } = require('./manifest');
+const { verifyDayFile, quarantineFile } = require('./integrity');
+const { createThrottle, getThrottleInfo, runPool, withJitter, sleep } = require('./throttle');
 
-/**
- * Lists custom export jobs for Messages from Twilio using the official Twilio client.
- * 
- * @returns {Promise<Array>} Array of Twilio export jobs
- * @throws {Error} If the API call fails
- */
-async function listExportCustomJobs() {
-  try {
-    logger.info('Fetching export jobs using Twilio client');
-    
-    // Use the official Twilio client
-    const jobs = await client
-      .bulkexports.v1
-      .exports('Messages')
-      .exportCustomJobs
-      .list({ limit: 400 });
-    
-    if (!Array.isArray(jobs)) {
-      throw new Error('Unexpected response format from Twilio API');
-    }
-    
-    logger.info(`Successfully retrieved ${jobs.length} jobs`);
-    return jobs;
-  } catch (error) {
-    // Log detailed error information
-    logger.error("Error listing export custom jobs", { 
-      error: error.message,
-      code: error.code,
-      status: error.status,
-      moreInfo: error.moreInfo,
-      details: error.details
-    });
-    
-    // Re-throw with more details
-    throw new Error(`Failed to list Twilio export jobs: ${error.message}`);
-  }
-}
-
+// Throttled responses (HTTP 429/503) are retried this many times on top of maxRetries
+const MAX_THROTTLED_RETRIES = 10;
 
 /**
  * Converts a job name into a safe folder name by replacing non-alphanumeric characters.
@@ -93,6 +64,8 @@ function extractDaysFromJob(job) {
 
 /**
  * Download a single day's export file with retry functionality.
+ * Each download is verified (see integrity.js) and retried when the file is truncated or corrupt;
+ * after the last attempt a corrupt file is moved to the job's quarantine folder.
  * 
  * @param {string} dayStr - The day string in YYYY-MM-DD format
  * @param {string} targetFolder - The folder to save the file to
@@ -100,12 +73,18 @@ function extractDaysFromJob(job) {
  * @param {number} total - The total number of days
  * @param {object} progressBar - The progress bar instance
  * @param {number} maxRetries - Maximum number of retries
- * @returns {Promise<object>} The result object with day, file path and size
+ * @param {object} [throttle] - Shared throttle (see throttle.js); throttled responses wait for
+ *   Retry-After and do not count as retries
+ * @param {string} [resourceType] - The resource type of the export (e.g. 'Messages')
+ * @returns {Promise<object>} The result object with day, file path, size, checksum and record count
  * @throws {Error} If download fails after all retries
  */
-async function downloadWithRetry(dayStr, targetFolder, index, total, progressBar, maxRetries = config.maxRetries) {
+async function downloadWithRetry(dayStr, targetFolder, index, total, progressBar, maxRetries = config.maxRetries, throttle = null, resourceType = DEFAULT_RESOURCE) {
   let attempts = 0;
+  let throttledAttempts = 0;
   let lastError = null;
+  const filename = `export_${dayStr}.json.gz`;
+  const partPath = join(targetFolder, `${filename}.part`);
 
   while (attempts <= maxRetries) {
     try {
@@ -123,7 +102,7 @@ async function downloadWithRetry(dayStr, targetFolder, index, total, progressBar
 
       // First get the redirect URL using the Twilio client
       const dayInfo = await client.bulkexports.v1
-        .exports('Messages')
+        .exports(resourceType)
         .days(dayStr)
         .fetch();
       
@@ -141,33 +120,67 @@ async function downloadWithRetry(dayStr, targetFolder, index, total, progressBar
       });
       
       const contentLength = response.headers['content-length'];
-      // Save into the targetFolder (which will be the "files" subfolder)
-      const filename = `export_${dayStr}.json.gz`;
+      // Save into the targetFolder (which will be the "files" subfolder). The file is written under a
+      // temporary name and renamed once verified, so an interrupted or corrupt download never looks like a day file
       const filePath = join(targetFolder, filename);
-      const writer = fsExtra.createWriteStream(filePath);
-      response.data.pipe(writer);
-
-      const result = await new Promise((resolve, reject) => {
-        writer.on('finish', () => {
-          logger.debug(`Successfully downloaded file for ${dayStr}`, {
-            day: dayStr,
-            filePath,
-            size: contentLength ? `${Math.round(contentLength / 1024)} KB` : 'unknown'
-          });
-          resolve({ dayStr, filePath, size: contentLength });
-        });
-        writer.on('error', (err) => {
-          logger.error(`File write error for ${dayStr}`, {
-            day: dayStr,
-            filePath,
-            error: err.message
-          });
-          reject(err);
+      const writer = fsExtra.createWriteStream(partPath);
+      const hash = crypto.createHash('sha256');
+      let bytes = 0;
+      response.data.on('data', chunk => {
+        hash.update(chunk);
+        bytes += chunk.length;
+      });
+
+      // pipeline() rejects when the response ends early, unlike waiting for the writer's 'finish'
+      try {
+        await pipeline(response.data, writer);
+      } catch (err) {
+        logger.error(`File write error for ${dayStr}`, {
+          day: dayStr,
+          filePath,
+          error: err.message
         });
+        throw err;
+      }
+
+      // Check size against Content-Length, decompress the whole file and parse a sample of records
+      let verification;
+      try {
+        verification = await verifyDayFile(partPath, { bytes: contentLength ? Number(contentLength) : null });
+      } catch (err) {
+        throw new Error(`Integrity check failed for ${dayStr}: ${err.message}`);
+      }
+
+      logger.debug(`Successfully downloaded file for ${dayStr}`, {
+        day: dayStr,
+        filePath,
+        size: contentLength ? `${Math.round(contentLength / 1024)} KB` : 'unknown',
+        records: verification.records
       });
+      const result = { dayStr, filePath, size: contentLength, bytes, sha256: hash.digest('hex'), records: verification.records };
+      await fsExtra.move(partPath, filePath, { overwrite: true });
+      if (throttle) {
+        throttle.succeeded();
+      }
       return result;
     } catch (error) {
       lastError = error;
+
+      const { throttled, status, retryAfterMs } = getThrottleInfo(error);
+      if (throttled && throttle && throttledAttempts < MAX_THROTTLED_RETRIES) {
+        throttledAttempts++;
+        attempts--;
+        const delay = throttle.throttled(retryAfterMs);
+        logger.warn(`Throttled (HTTP ${status}) while downloading ${dayStr}; retrying in ${Math.round(delay / 1000)}s`, {
+          day: dayStr,
+          status,
+          retryAfterMs,
+          throttledAttempts
+        });
+        await sleep(delay);
+        continue;
+      }
+
       // Log detailed error information
       const errorMeta = {
         day: dayStr,
@@ -182,11 +195,17 @@ async function downloadWithRetry(dayStr, targetFolder, index, total, progressBar
       
       if (attempts > maxRetries) {
         logger.error(`✗ [${index + 1}/${total}] Failed to download ${dayStr} after ${maxRetries + 1} attempts`, errorMeta);
+        // Keep the last incomplete or corrupt file for inspection, out of the files folder
+        if (await fsExtra.pathExists(partPath)) {
+          const quarantinedPath = await quarantineFile(partPath, join(dirname(targetFolder), 'quarantine'), filename);
+          logger.warn(`Moved the corrupt file for ${dayStr} to ${quarantinedPath}`);
+          error.quarantinedPath = quarantinedPath;
+        }
       } else {
         logger.warn(`Download attempt ${attempts}/${maxRetries + 1} failed for ${dayStr}`, errorMeta);
-        const delay = 1000 * Math.pow(2, attempts - 1); // Exponential backoff
+        const delay = withJitter(1000 * Math.pow(2, attempts - 1)); // Exponential backoff with jitter
         logger.debug(`Waiting ${delay}ms before retry...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await sleep(delay);
       }
     }
   }
@@ -196,13 +215,18 @@ async function downloadWithRetry(dayStr, targetFolder, index, total, progressBar
 
 /**
  * Downloads export files for the given job.
- * Accepts an object with jobIdentifier, userStart, and userEnd.
+ * Accepts an object with jobIdentifier, userStart, userEnd, resourceType (the job's resource type,
+ * Messages by default), concurrency (the maximum number of simultaneous downloads; lowered automatically
+ * while Twilio rate-limits the requests) and folderName, which overrides the job folder name so several
+ * jobs can share one folder.
  * 
  * Files will be saved in downloads/job_name/files and the job folder itself is returned.
+ * Each day's outcome is recorded in downloads/job_name/manifest.json; days already downloaded
+ * and matching their recorded size and checksum are not downloaded again.
  */
-async function downloadCustomJobExports({ jobIdentifier, userStart, userEnd }) {
+async function downloadCustomJobExports({ jobIdentifier, userStart, userEnd, resourceType = DEFAULT_RESOURCE, concurrency = config.downloadConcurrency, folderName }) {
   try {
-    logger.info("Starting Twilio export download...", { jobIdentifier, userStart, userEnd });
+    logger.info("Starting Twilio export download...", { jobIdentifier, resourceType, userStart, userEnd });
 
     // Validate jobIdentifier
     if (!jobIdentifier) {
@@ -213,30 +237,18 @@ async function downloadCustomJobExports({ jobIdentifier, userStart, userEnd }) {
     const { testConnection } = require('./client');
     
     // Test the API connection first
-    const connectionSuccess = await testConnection();
+    const connectionSuccess = await testConnection(resourceType);
     if (!connectionSuccess) {
       throw new Error('Cannot connect to Twilio API. Please check your credentials and network connection.');
     }
 
-    const jobs = await listExportCustomJobs();
-    logger.info(`Found ${jobs.length} job(s).`);
-
-    const myJob = jobs.find(job =>
-      job.jobSid === jobIdentifier ||
-      (job.friendlyName && job.friendlyName.includes(jobIdentifier))
-    );
-
-    if (!myJob) {
-      logger.error(`Job not found with identifier: ${jobIdentifier}`);
-      logger.info("Available jobs:");
-      jobs.forEach(job => logger.info(` - ${job.friendlyName || 'No Name'} (${job.jobSid})`));
-      throw new Error(`Job not found with identifier: ${jobIdentifier}`);
-    }
+    const myJob = await findJob(jobIdentifier, resourceType);
 
     logger.info(`Using job: "${myJob.friendlyName}" (SID: ${myJob.jobSid})`);
 
   // Create the main job folder (downloads/job_name)
-  const jobFolderName = myJob.friendlyName ? sanitizeFolderName(myJob.friendlyName) : myJob.jobSid;
+  const name = folderName || myJob.friendlyName;
+  const jobFolderName = name ? sanitizeFolderName(name) : myJob.jobSid;
   const jobFolder = join(config.downloadsFolder, jobFolderName);
   fsExtra.ensureDirSync(jobFolder);
   logger.info(`Created job folder: ${jobFolder}`);
@@ -280,14 +292,46 @@ async function downloadCustomJobExports({ jobIdentifier, userStart, userEnd }) {
     }
   }
 
+  // The manifest records every day of the job folder, so days downloaded and verified
+  // by an earlier run are skipped and only failed or missing days are downloaded again
+  const manifest = await openManifest(jobFolder, myJob);
+  const emptyEntries = {};
+  (userStart && userEnd ? emptyDaysInRange : emptyDays).forEach(day => {
+    emptyEntries[day] = { status: DAY_STATUS.EMPTY };
+  });
+  if (Object.keys(emptyEntries).length > 0) {
+    await manifest.update(emptyEntries);
+  }
+
   if (daysToDownload.length === 0) {
     logger.info("No days with data to download. Exiting.");
     return;
   }
 
   daysToDownload.sort();
+  const verifiedDays = [];
+  const pendingDays = [];
+  for (const day of daysToDownload) {
+    if (await manifest.isVerified(day, join(filesFolder, `export_${day}.json.gz`))) {
+      verifiedDays.push(day);
+    } else {
+      pendingDays.push(day);
+    }
+  }
+  if (verifiedDays.length > 0) {
+    logger.info(`Skipping ${verifiedDays.length} days already downloaded and verified (see ${manifest.path}).`);
+  }
+  daysToDownload = pendingDays;
+
+  if (daysToDownload.length === 0) {
+    logger.info(`All ${verifiedDays.length} days with data are already downloaded.`);
+    logger.info(`Files saved to: ${jobFolder}`);
+    return jobFolder;
+  }
+
   const startTime = Date.now();
-  logger.info(`Starting ${daysToDownload.length} concurrent downloads...`);
+  logger.info(`Starting ${daysToDownload.length} downloads, ${concurrency} at a time...`);
+  const throttle = createThrottle({ concurrency });
 
   let completedCount = 0;
   let failedCount = 0;
@@ -305,9 +349,21 @@ async function downloadCustomJobExports({ jobIdentifier, userStart, userEnd }) {
   });
 
   // Download files into the filesFolder
-  const downloadPromises = daysToDownload.map(async (dayStr, index) => {
+  const results = await runPool(daysToDownload, concurrency, throttle, async (dayStr, index) => {
     try {
-      const result = await downloadWithRetry(dayStr, filesFolder, index, daysToDownload.length, progressBar);
+      const result = await downloadWithRetry(
+        dayStr, filesFolder, index, daysToDownload.length, progressBar, config.maxRetries, throttle, resourceType
+      );
+      await manifest.update({
+        [dayStr]: {
+          status: DAY_STATUS.DOWNLOADED,
+          file: `export_${dayStr}.json.gz`,
+          bytes: result.bytes,
+          sha256: result.sha256,
+          records: result.records,
+          downloadedAt: new Date().toISOString()
+        }
+      });
       completedCount++;
       if (result.size) {
         totalBytes += parseInt(result.size);
@@ -322,12 +378,14 @@ async function downloadCustomJobExports({ jobIdentifier, userStart, userEnd }) {
       return result;
     } catch (error) {
       failedCount++;
+      await manifest.update({
+        [dayStr]: { status: DAY_STATUS.FAILED, error: error.message, quarantinedPath: error.quarantinedPath || null }
+      }).catch(() => {});
       progressBar.update(completedCount + failedCount);
       return null;
     }
   });
 
-  const results = await Promise.all(downloadPromises);
   progressBar.stop();
 
   if (failedCount > 0) {
@@ -347,12 +405,13 @@ async function downloadCustomJobExports({ jobIdentifier, userStart, userEnd }) {
 
   if (userStart && userEnd) {
     logger.info(`Total days in selected date range: ${totalDaysInRange}`);
-    logger.info(`Days with data in range: ${daysToDownload.length}`);
+    logger.info(`Days with data in range: ${verifiedDays.length + daysToDownload.length}`);
     logger.info(`Days with no data in range (skipped): ${emptyDaysInRange.length}`);
   } else {
     logger.info(`Downloaded full job data (no date filter applied)`);
   }
 
+  logger.info(`Already downloaded (skipped): ${verifiedDays.length}`);
   logger.info(`Total days to download: ${daysToDownload.length}`);
   logger.info(`Successfully downloaded: ${successCount}`);
   logger.info(`Failed downloads: ${failedDays.length}`);
@@ -363,6 +422,17 @@ async function downloadCustomJobExports({ jobIdentifier, userStart, userEnd }) {
       (failedDays.length > 10 ? ` and ${failedDays.length - 10} more...` : ''));
   }
 
+  await manifest.flush();
+  logger.info(`Download manifest written to: ${manifest.path}`);
+
+  if (failedDays.length > 0) {
+    throw new Error(
+      `${failedDays.length} day(s) could not be downloaded: ${failedDays.slice(0, 10).join(', ')}` +
+      `${failedDays.length > 10 ? ` and ${failedDays.length - 10} more` : ''}. ` +
+      'Run the same command again to retry only the missing days'
+    );
+  }
+
   logger.info(`Files saved to: ${jobFolder}`);
   // Return the main job folder path (for further processing)
   return jobFolder;
@@ -380,6 +450,5 @@ async function downloadCustomJobExports({ jobIdentifier, userStart, userEnd }) {
 module.exports = {
   downloadCustomJobExports,
   sanitizeFolderName,
-  extractDaysFromJob,
-  listExportCustomJobs
+  extractDaysFromJob
 };
\ No newline at end of file
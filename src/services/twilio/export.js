@@ -1,5 +1,8 @@
+const moment = require('moment');
 const { client } = require('./client');
 const logger = require('../../utils/logger');
+const { recordCreatedJob, forgetJob } = require('./jobHistory');
+const { listExportCustomJobs } = require('./jobLookup');
 
 /**
  * Retrieves the export job by its SID from Twilio.
@@ -21,22 +24,15 @@ async function getJob(resourceType, jobSid) {
       throw new Error('jobSid is required');
     }
     
-    const jobs = await client
-      .bulkexports.v1
-      .exports(resourceType)
-      .exportCustomJobs
-      .list({ limit: 20 }); // We only need recent jobs
-
-    if (!Array.isArray(jobs)) {
-      throw new Error(`Unexpected response format from Twilio API when listing jobs`);
+    // Fetched by SID, so the job is found however many newer jobs the account has
+    let job;
+    try {
+      job = await client.bulkexports.v1.exports.jobs(jobSid).fetch();
+    } catch (err) {
+      throw err.status === 404 ? new Error(`Job ${jobSid} not found`) : err;
     }
-    
-    logger.info(`Found ${jobs.length} recent jobs`);
-    
-    const job = jobs.find(j => j.jobSid === jobSid);
-    if (!job) {
-      logger.error(`Job ${jobSid} not found in the list of recent jobs`);
-      throw new Error(`Job ${jobSid} not found`);
+    if (job.resourceType && job.resourceType !== resourceType) {
+      throw new Error(`Job ${jobSid} exports ${job.resourceType}, not ${resourceType}`);
     }
     
     logger.info(`Successfully retrieved job ${jobSid}`);
@@ -94,9 +90,36 @@ function isJobComplete(job, expectedDays) {
 
 
 /**
- * Create a new export job for the given date range.
+ * Checks whether a job has stopped working on its days: every day is complete or has failed.
+ * Unlike isJobComplete, failed days do not keep the job unfinished, matching pollExportJobCompletion.
+ *
+ * @param {Object} job - The export job.
+ * @param {number} expectedDays - Number of days in the job's range.
+ * @returns {{isFinished: boolean, completedDays: number, failedDays: number, message: string}}
+ */
+function isJobFinished(job, expectedDays) {
+  const completion = isJobComplete(job, expectedDays);
+  const failedDays = (Array.isArray(job.details) ? job.details : [])
+    .reduce((sum, detail) => (detail.status === 'Failed' ? sum + (detail.count || 0) : sum), 0);
+  const completedDays = completion.completedDays || 0;
+  const isFinished = completedDays + failedDays >= expectedDays;
+
+  return {
+    isFinished,
+    completedDays,
+    failedDays,
+    message: isFinished
+      ? `${completedDays}/${expectedDays} days ready` + (failedDays > 0 ? `, ${failedDays} failed` : '')
+      : `${completedDays + failedDays}/${expectedDays} days processed`
+  };
+}
+
+
+/**
+ * Create a new export job for the given date range. With a webhook URL, Twilio calls it
+ * (with POST) when the job completes.
  */
-async function createExportJob({ resourceType, startDay, endDay, friendlyName }) {
+async function createExportJob({ resourceType, startDay, endDay, friendlyName, webhookUrl }) {
   try {
     logger.info(`Creating new export job for dates ${startDay} to ${endDay}`, {
       resourceType,
@@ -113,9 +136,16 @@ async function createExportJob({ resourceType, startDay, endDay, friendlyName })
       startDay,
       endDay,
       friendlyName,
+      ...(webhookUrl ? { webhookUrl, webhookMethod: 'POST' } : {})
     });
     
     logger.info(`Successfully created export job with SID: ${job.jobSid}`);
+    try {
+      await recordCreatedJob(job, resourceType);
+    } catch (historyError) {
+      // The history only feeds the creation date shown by `jobs list`
+      logger.warn(`Could not record job ${job.jobSid} in the job history: ${historyError.message}`);
+    }
     return job;
   } catch (error) {
     logger.error(`Failed to create export job`, {
@@ -130,6 +160,30 @@ async function createExportJob({ resourceType, startDay, endDay, friendlyName })
 }
 
 
+/**
+ * Deletes an export job from Twilio and from the local job history.
+ *
+ * @param {string} jobSid - The SID of the job to delete.
+ * @throws {Error} If the API call fails
+ */
+async function deleteExportJob(jobSid) {
+  try {
+    logger.info(`Deleting export job ${jobSid}`);
+    await client.bulkexports.v1.exports.jobs(jobSid).remove();
+  } catch (error) {
+    logger.error(`Failed to delete export job ${jobSid}`, {
+      error: error.message,
+      code: error.code,
+      status: error.status,
+      jobSid
+    });
+    throw new Error(`Failed to delete export job ${jobSid}: ${error.message}`);
+  }
+  await forgetJob(jobSid);
+  logger.info(`Deleted export job ${jobSid}`);
+}
+
+
 /**
  * Poll until the export job is complete and has all expected days
  */
@@ -257,9 +311,6 @@ async function pollExportJobCompletion(resourceType, jobSid, expectedDays, maxWa
 }
 
 
-/**
- * Check for an existing export job for the given date range that has all days (data or empty).
- */
 /**
  * Check for an existing export job for the given date range that has all days (data or empty).
  * Also verifies that at least one day's file is available for download.
@@ -272,11 +323,7 @@ async function findExistingJob(resourceType, startDate, endDate, expectedDays) {
       throw new Error('Missing required parameters when finding existing job');
     }
     
-    const jobs = await client
-      .bulkexports.v1
-      .exports(resourceType)
-      .exportCustomJobs
-      .list({ limit: 200 });
+    const jobs = await listExportCustomJobs(resourceType);
     
     logger.info(`Found ${jobs.length} jobs to check`);
 
@@ -290,7 +337,9 @@ async function findExistingJob(resourceType, startDate, endDate, expectedDays) {
         );
         logger.info(`Status: ${status.message}`);
 
-        if (!status.isComplete) {
+        // A job that finished with failed days is reused like a complete one; its failed days are
+        // exported again by follow-up jobs (see followUp.js)
+        if (!isJobFinished(job, expectedDays).isFinished) {
           logger.info('Job exists but is not complete - will wait for completion');
           return { job, needsWaiting: true };
         }
@@ -363,8 +412,127 @@ async function findExistingJob(resourceType, startDate, endDate, expectedDays) {
   }
 }
 
+/**
+ * Reuses an existing job for the date range or creates one, without waiting for it to complete.
+ *
+ * @param {Object} params
+ * @param {string} params.resourceType - The resource type (e.g. 'Messages').
+ * @param {string} params.startDate - First day, YYYY-MM-DD.
+ * @param {string} params.endDate - Last day, YYYY-MM-DD.
+ * @param {string} params.friendlyName - Name for a newly created job.
+ * @returns {Promise<{job: Object, reused: boolean}>} The job, and whether it already existed
+ */
+async function startExportJob({ resourceType, startDate, endDate, friendlyName }) {
+  const expectedDays = moment(endDate).diff(moment(startDate), 'days') + 1;
+  const existingJobResult = await findExistingJob(resourceType, startDate, endDate, expectedDays);
+  if (existingJobResult) {
+    return { job: existingJobResult.job, reused: true };
+  }
+
+  logger.info(`Creating new export job with name: ${friendlyName}`);
+  const job = await createExportJob({
+    resourceType,
+    startDay: startDate,
+    endDay: endDate,
+    friendlyName
+  });
+  return { job, reused: false };
+}
+
+/**
+ * Returns a completed export job for the date range: an existing job is reused (waiting for it
+ * when it is still running), otherwise a new job is created with the given name and polled until
+ * all days are ready.
+ *
+ * With a webhook listener, a new job is created with a callback URL and checked as soon as the
+ * callback arrives; if none arrives within the listener's wait time, the job is polled as usual.
+ *
+ * @param {Object} params
+ * @param {string} params.resourceType - The resource type (e.g. 'Messages').
+ * @param {string} params.startDate - First day, YYYY-MM-DD.
+ * @param {string} params.endDate - Last day, YYYY-MM-DD.
+ * @param {string} params.friendlyName - Name for a newly created job.
+ * @param {Object} [params.webhook] - A started webhook listener (see webhook.js).
+ * @returns {Promise<Object>} The completed Twilio export job
+ */
+async function ensureCompletedJob({ resourceType, startDate, endDate, friendlyName, webhook = null }) {
+  const expectedDays = moment(endDate).diff(moment(startDate), 'days') + 1;
+  logger.info(`Expecting ${expectedDays} days of data...`);
+
+  const existingJobResult = await findExistingJob(resourceType, startDate, endDate, expectedDays);
+
+  if (existingJobResult) {
+    if (!existingJobResult.needsWaiting) {
+      return existingJobResult.job;
+    }
+    logger.info('Waiting for existing job to complete...');
+    return pollExportJobCompletion(resourceType, existingJobResult.job.jobSid, expectedDays, 60, {
+      pollIntervalMs: 30000,
+      initialWaitMs: 60000
+    });
+  }
+
+  logger.info('No existing job found, creating new export job...');
+  return createCompletedJob({ resourceType, startDate, endDate, friendlyName, webhook });
+}
+
+/**
+ * Creates a new export job for the date range and waits until all its days are ready or have failed,
+ * without looking for an existing job first. See ensureCompletedJob for the webhook listener.
+ *
+ * @param {Object} params
+ * @param {string} params.resourceType - The resource type (e.g. 'Messages').
+ * @param {string} params.startDate - First day, YYYY-MM-DD.
+ * @param {string} params.endDate - Last day, YYYY-MM-DD.
+ * @param {string} params.friendlyName - Name for the job.
+ * @param {Object} [params.webhook] - A started webhook listener (see webhook.js).
+ * @returns {Promise<Object>} The completed Twilio export job
+ */
+async function createCompletedJob({ resourceType, startDate, endDate, friendlyName, webhook = null }) {
+  const expectedDays = moment(endDate).diff(moment(startDate), 'days') + 1;
+  logger.info(`Creating new export job with name: ${friendlyName}`);
+
+  const callback = webhook ? webhook.expect(friendlyName) : null;
+  const job = await createExportJob({
+    resourceType,
+    startDay: startDate,
+    endDay: endDate,
+    friendlyName,
+    webhookUrl: callback ? callback.url : undefined
+  });
+
+  if (callback) {
+    logger.info(`Waiting up to ${webhook.waitMinutes} minutes for Twilio to call back when job ${job.jobSid} completes...`);
+    const received = await callback.wait();
+    if (!received) {
+      logger.warn(`No callback for job ${job.jobSid} arrived in time; polling for completion instead`);
+    }
+    // The job is checked right away; polling continues if it is not complete yet
+    return pollExportJobCompletion(resourceType, job.jobSid, expectedDays, 60, {
+      pollIntervalMs: 30000,
+      initialWaitMs: 0
+    });
+  }
+
+  logger.info('Waiting for export job to complete...');
+  logger.info('This may take several minutes depending on the date range size.');
+  logger.info('Twilio needs to process each day of data before it\'s available for download.');
+
+  return pollExportJobCompletion(resourceType, job.jobSid, expectedDays, 60, {
+    pollIntervalMs: 30000,
+    initialWaitMs: 60000
+  });
+}
+
 module.exports = {
+  getJob,
+  isJobComplete,
+  isJobFinished,
   createExportJob,
+  deleteExportJob,
   pollExportJobCompletion,
   findExistingJob,
+  startExportJob,
+  ensureCompletedJob,
+  createCompletedJob,
 };
\ No newline at end of file
@@ -0,0 +1,145 @@
+const logger = require('../../utils/logger');
+const { groupConsecutiveDays } = require('../../utils/dateUtils');
+const { createCompletedJob, createExportJob } = require('./export');
+
+// Rounds of follow-up jobs created for failed days unless --follow-ups is given
+const DEFAULT_FOLLOW_UPS = 2;
+
+// Upper bound for --follow-ups; days that fail this often are unlikely to succeed
+const MAX_FOLLOW_UPS = 5;
+
+/**
+ * Validates a follow-up setting.
+ *
+ * @param {number|string|undefined} value - The number of follow-up rounds, e.g. from --follow-ups.
+ * @throws {Error} If the value is set but not a whole number between 0 and MAX_FOLLOW_UPS
+ */
+function validateFollowUps(value) {
+  if (value === undefined || value === null) {
+    return;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || number > MAX_FOLLOW_UPS) {
+    throw new Error(`Invalid follow-ups: ${value}. Use a whole number from 0 to ${MAX_FOLLOW_UPS}`);
+  }
+}
+
+/**
+ * Lists the days of a job that Twilio reports as Failed, limited to the given range.
+ *
+ * @param {Object} job - The export job.
+ * @param {string} startDate - First day of the range, YYYY-MM-DD.
+ * @param {string} endDate - Last day of the range, YYYY-MM-DD.
+ * @returns {string[]} The failed days, sorted
+ */
+function failedDaysOf(job, startDate, endDate) {
+  const days = new Set();
+  (Array.isArray(job.details) ? job.details : [])
+    .filter(detail => detail.status === 'Failed' && Array.isArray(detail.days))
+    .forEach(detail => detail.days
+      .filter(day => day >= startDate && day <= endDate)
+      .forEach(day => days.add(day)));
+  return [...days].sort();
+}
+
+/**
+ * Groups failed days into the ranges of a round of follow-up jobs, and names each job after the run.
+ *
+ * @param {string[]} failedDays - The failed days, sorted.
+ * @param {string} name - Name of the run.
+ * @param {number} round - The round of follow-up jobs, from 1.
+ * @param {number} maxFollowUps - The last round, for the log message.
+ * @returns {Array<{startDate: string, endDate: string, friendlyName: string}>} The follow-up jobs to create
+ */
+function planFollowUpJobs(failedDays, name, round, maxFollowUps) {
+  const ranges = groupConsecutiveDays(failedDays);
+  logger.warn(
+    `Twilio could not export ${failedDays.length} day(s); creating follow-up job(s) for ` +
+    `${ranges.map(range => (range.startDate === range.endDate ? range.startDate : `${range.startDate} to ${range.endDate}`)).join(', ')} ` +
+    `(round ${round} of ${maxFollowUps})`
+  );
+  return ranges.map((range, index) => ({
+    ...range,
+    friendlyName: `${name}_followup${round}` + (ranges.length > 1 ? `_${index + 1}of${ranges.length}` : '')
+  }));
+}
+
+/**
+ * Creates one round of follow-up jobs for failed days without waiting for them, for runs that are
+ * recorded as pending and checked again later (see pending/index.js).
+ *
+ * @param {Object} params
+ * @param {string} params.resourceType - The resource type (e.g. 'Messages').
+ * @param {string[]} params.failedDays - The failed days, sorted.
+ * @param {string} params.name - Name of the run; follow-up jobs are named after it.
+ * @param {number} params.round - The round of follow-up jobs, from 1.
+ * @param {number} params.maxFollowUps - The last round.
+ * @returns {Promise<Array<{jobSid: string, friendlyName: string, startDate: string, endDate: string, round: number}>>}
+ *   The created jobs
+ */
+async function startFollowUpJobs({ resourceType, failedDays, name, round, maxFollowUps }) {
+  const planned = planFollowUpJobs(failedDays, name, round, maxFollowUps);
+  // Always new jobs: an existing job for the same days is the one that failed
+  const jobs = await Promise.all(planned.map(({ startDate, endDate, friendlyName }) => createExportJob({
+    resourceType,
+    startDay: startDate,
+    endDay: endDate,
+    friendlyName
+  })));
+  return jobs.map((job, index) => ({
+    jobSid: job.jobSid,
+    friendlyName: job.friendlyName || null,
+    startDate: planned[index].startDate,
+    endDate: planned[index].endDate,
+    round
+  }));
+}
+
+/**
+ * Re-exports the days that failed in completed jobs. Neighbouring failed days are grouped into
+ * one narrow follow-up job per range; days that fail again get another round, up to `maxFollowUps` rounds.
+ *
+ * @param {Object} params
+ * @param {string} params.resourceType - The resource type (e.g. 'Messages').
+ * @param {Array<{job: Object, startDate: string, endDate: string}>} params.jobs - The completed jobs and the
+ *   days of each that were asked for.
+ * @param {string} params.name - Name of the run; follow-up jobs are named after it.
+ * @param {number} [params.maxFollowUps] - Rounds of follow-up jobs; 0 only reports the failed days.
+ * @param {Object} [params.webhook] - A started webhook listener for the follow-up jobs (see webhook.js).
+ * @returns {Promise<{followUps: Array<{jobSid: string, friendlyName: string, startDate: string, endDate: string, job: Object}>,
+ *   failedDays: string[]}>} The follow-up jobs to download, and the days that still failed after the last round
+ */
+async function runFollowUpJobs({ resourceType, jobs, name, maxFollowUps = DEFAULT_FOLLOW_UPS, webhook = null }) {
+  let failedDays = [...new Set(jobs.flatMap(({ job, startDate, endDate }) => failedDaysOf(job, startDate, endDate)))].sort();
+  const followUps = [];
+
+  for (let round = 1; round <= maxFollowUps && failedDays.length > 0; round++) {
+    const ranges = planFollowUpJobs(failedDays, name, round, maxFollowUps);
+
+    // Always new jobs: an existing job for the same days is the one that failed
+    const completed = await Promise.all(ranges.map(range => createCompletedJob({ resourceType, ...range, webhook })));
+
+    failedDays = [];
+    completed.forEach((job, index) => {
+      const { startDate, endDate } = ranges[index];
+      followUps.push({ jobSid: job.jobSid, friendlyName: job.friendlyName || null, startDate, endDate, job });
+      failedDays.push(...failedDaysOf(job, startDate, endDate));
+    });
+    failedDays.sort();
+  }
+
+  // Days that still failed are reported at the end of the run (see exportRun.js)
+  if (failedDays.length === 0 && followUps.length > 0) {
+    logger.info(`✔ Follow-up job(s) exported all failed days`);
+  }
+  return { followUps, failedDays };
+}
+
+module.exports = {
+  DEFAULT_FOLLOW_UPS,
+  MAX_FOLLOW_UPS,
+  validateFollowUps,
+  failedDaysOf,
+  startFollowUpJobs,
+  runFollowUpJobs
+};
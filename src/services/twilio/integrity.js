@@ -0,0 +1,81 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const { join, basename } = require('path');
+const fsExtra = require('fs-extra');
+
+// Number of leading records parsed as JSON when checking a day file
+const SAMPLE_RECORDS = 20;
+
+/**
+ * Checks a downloaded day file: its size must match the Content-Length reported by the server,
+ * the whole file must decompress, and the first records must be valid JSON objects.
+ *
+ * @param {string} filePath - The .json.gz file to check.
+ * @param {Object} [expected]
+ * @param {number|null} [expected.bytes] - Expected size in bytes (the Content-Length header), when known.
+ * @returns {Promise<{bytes: number, records: number}>} The file size and number of records
+ * @throws {Error} If the file is truncated, not valid gzip or does not contain JSON records
+ */
+async function verifyDayFile(filePath, { bytes: expectedBytes = null } = {}) {
+  const { size } = await fsExtra.stat(filePath);
+  if (expectedBytes !== null && expectedBytes !== undefined && size !== expectedBytes) {
+    throw new Error(`Size mismatch: expected ${expectedBytes} bytes, got ${size}`);
+  }
+
+  const fileStream = fs.createReadStream(filePath);
+  const gunzip = zlib.createGunzip();
+  fileStream.on('error', err => gunzip.destroy(err));
+  const rl = readline.createInterface({ input: fileStream.pipe(gunzip), crlfDelay: Infinity });
+
+  let records = 0;
+  let lineNumber = 0;
+  try {
+    for await (const line of rl) {
+      lineNumber++;
+      if (line.trim().length === 0) continue;
+      records++;
+      if (records <= SAMPLE_RECORDS) {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (err) {
+          throw new Error(`Line ${lineNumber} is not valid JSON: ${err.message}`);
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          throw new Error(`Line ${lineNumber} is not a JSON object`);
+        }
+      }
+    }
+  } catch (err) {
+    throw new Error(err.code && err.code.startsWith('Z_') ? `Gzip check failed: ${err.message}` : err.message);
+  } finally {
+    rl.close();
+    fileStream.destroy();
+  }
+
+  if (records === 0) {
+    throw new Error('File contains no records');
+  }
+  return { bytes: size, records };
+}
+
+/**
+ * Moves a corrupt day file into the quarantine folder, keeping it for inspection
+ * without it being processed. The quarantined file is named after the day file.
+ *
+ * @param {string} filePath - The corrupt file.
+ * @param {string} quarantineFolder - The quarantine folder, e.g. downloads/<job>/quarantine.
+ * @param {string} [fileName] - Name to use in the quarantine folder; defaults to the file's own name.
+ * @returns {Promise<string>} The new path of the file
+ */
+async function quarantineFile(filePath, quarantineFolder, fileName = basename(filePath)) {
+  const target = join(quarantineFolder, fileName);
+  await fsExtra.move(filePath, target, { overwrite: true });
+  return target;
+}
+
+module.exports = {
+  verifyDayFile,
+  quarantineFile
+};
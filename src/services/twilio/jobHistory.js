@@ -0,0 +1,77 @@
+const { join } = require('path');
+const fsExtra = require('fs-extra');
+const config = require('../../config/config');
+
+/**
+ * Local record of the export jobs created by this tool. The Bulk Exports API does not return
+ * when a job was created, so the creation time is kept here for `jobs list`.
+ */
+const HISTORY_FILE = join(config.downloadsFolder, 'job_history.json');
+
+// Updates are chained so that jobs created at the same time (e.g. the chunks of a long range) are all kept
+let pending = Promise.resolve();
+
+/**
+ * Reads the job history.
+ *
+ * @returns {Promise<Object<string, {friendlyName: string, resourceType: string, startDay: string,
+ *   endDay: string, createdAt: string}>>} Entries keyed by job SID; empty when there is no readable history
+ */
+async function loadJobHistory() {
+  try {
+    const history = await fsExtra.readJson(HISTORY_FILE);
+    return history && typeof history === 'object' && !Array.isArray(history) ? history : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Applies a change to the history file, writing it through a temporary file.
+ */
+function updateJobHistory(change) {
+  pending = pending.catch(() => {}).then(async () => {
+    const history = await loadJobHistory();
+    change(history);
+    const tempPath = `${HISTORY_FILE}.tmp`;
+    await fsExtra.outputJson(tempPath, history, { spaces: 2 });
+    await fsExtra.move(tempPath, HISTORY_FILE, { overwrite: true });
+  });
+  return pending;
+}
+
+/**
+ * Records a job created by this tool.
+ *
+ * @param {{jobSid: string, friendlyName: string, startDay: string, endDay: string}} job - The created job.
+ * @param {string} resourceType - The job's resource type.
+ */
+function recordCreatedJob(job, resourceType) {
+  return updateJobHistory(history => {
+    history[job.jobSid] = {
+      friendlyName: job.friendlyName,
+      resourceType,
+      startDay: job.startDay,
+      endDay: job.endDay,
+      createdAt: new Date().toISOString()
+    };
+  });
+}
+
+/**
+ * Removes a deleted job from the history.
+ *
+ * @param {string} jobSid - The SID of the deleted job.
+ */
+function forgetJob(jobSid) {
+  return updateJobHistory(history => {
+    delete history[jobSid];
+  });
+}
+
+module.exports = {
+  HISTORY_FILE,
+  loadJobHistory,
+  recordCreatedJob,
+  forgetJob
+};
@@ -0,0 +1,129 @@
+const { client } = require('./client');
+const logger = require('../../utils/logger');
+const { DEFAULT_RESOURCE } = require('../../config/resources');
+
+// Jobs requested per page while listing; every page is read
+const JOB_PAGE_SIZE = 100;
+
+// Number of jobs listed in a "not found" or "ambiguous" error
+const MAX_LISTED_JOBS = 20;
+
+/**
+ * Lists all custom export jobs of a resource type from Twilio using the official Twilio client,
+ * reading every page so older jobs are included.
+ *
+ * @param {string} [resourceType] - The resource type (e.g. 'Messages').
+ * @returns {Promise<Array>} Array of Twilio export jobs
+ * @throws {Error} If the API call fails
+ */
+async function listExportCustomJobs(resourceType = DEFAULT_RESOURCE) {
+  try {
+    logger.info(`Fetching ${resourceType} export jobs using Twilio client`);
+
+    // Without a limit, list() follows the next page links until all jobs are read
+    const jobs = await client
+      .bulkexports.v1
+      .exports(resourceType)
+      .exportCustomJobs
+      .list({ pageSize: JOB_PAGE_SIZE });
+
+    if (!Array.isArray(jobs)) {
+      throw new Error('Unexpected response format from Twilio API');
+    }
+
+    logger.info(`Successfully retrieved ${jobs.length} jobs`);
+    return jobs;
+  } catch (error) {
+    // Log detailed error information
+    logger.error("Error listing export custom jobs", {
+      error: error.message,
+      code: error.code,
+      status: error.status,
+      moreInfo: error.moreInfo,
+      details: error.details
+    });
+
+    // Re-throw with more details
+    throw new Error(`Failed to list Twilio export jobs: ${error.message}`);
+  }
+}
+
+/**
+ * Formats jobs as "name (SID, start to end)" for error messages, listing at most MAX_LISTED_JOBS.
+ */
+function describeJobs(jobs) {
+  const listed = jobs.slice(0, MAX_LISTED_JOBS)
+    .map(job => `${job.friendlyName || 'No Name'} (${job.jobSid}, ${job.startDay} to ${job.endDay})`);
+  if (jobs.length > MAX_LISTED_JOBS) {
+    listed.push(`and ${jobs.length - MAX_LISTED_JOBS} more`);
+  }
+  return listed.join('; ');
+}
+
+/**
+ * Picks the job an identifier refers to, in order of preference:
+ *   1. the job with that SID,
+ *   2. the job with exactly that name,
+ *   3. the only job whose name contains the identifier.
+ * Several jobs with the same exact name, or several partial matches, are ambiguous.
+ *
+ * @param {Array} jobs - The jobs to search.
+ * @param {string} jobIdentifier - The job SID or (part of its) name.
+ * @returns {{job: Object|null, candidates: Array, match: string}} The job, or null with the candidates
+ *   when the identifier is ambiguous or matches nothing; `match` is 'sid', 'name', 'partial' or 'none'
+ */
+function matchJob(jobs, jobIdentifier) {
+  const bySid = jobs.find(job => job.jobSid === jobIdentifier);
+  if (bySid) {
+    return { job: bySid, candidates: [bySid], match: 'sid' };
+  }
+
+  const byName = jobs.filter(job => job.friendlyName === jobIdentifier);
+  if (byName.length > 0) {
+    return { job: byName.length === 1 ? byName[0] : null, candidates: byName, match: 'name' };
+  }
+
+  const partial = jobs.filter(job => job.friendlyName && job.friendlyName.includes(jobIdentifier));
+  if (partial.length > 0) {
+    return { job: partial.length === 1 ? partial[0] : null, candidates: partial, match: 'partial' };
+  }
+  return { job: null, candidates: [], match: 'none' };
+}
+
+/**
+ * Finds an export job by its SID or name (see matchJob) among all jobs of the resource type.
+ *
+ * @param {string} jobIdentifier - The job SID or name.
+ * @param {string} [resourceType] - The resource type whose jobs are searched (e.g. 'Messages').
+ * @returns {Promise<Object>} The export job
+ * @throws {Error} If no job matches, or several do; the message lists the candidates
+ */
+async function findJob(jobIdentifier, resourceType = DEFAULT_RESOURCE) {
+  const jobs = await listExportCustomJobs(resourceType);
+  logger.info(`Found ${jobs.length} job(s).`);
+
+  const { job, candidates, match } = matchJob(jobs, jobIdentifier);
+  if (job) {
+    if (match === 'partial') {
+      logger.info(`"${jobIdentifier}" matches job "${job.friendlyName}" (${job.jobSid}) by partial name`);
+    }
+    return job;
+  }
+
+  if (candidates.length > 0) {
+    throw new Error(
+      `"${jobIdentifier}" matches ${candidates.length} ${resourceType} export jobs: ${describeJobs(candidates)}. ` +
+      'Use the job SID or its full name'
+    );
+  }
+  throw new Error(
+    `Job not found with identifier: ${jobIdentifier} among the ${resourceType} export jobs` +
+    (jobs.length > 0 ? `. Available jobs: ${describeJobs(jobs)}` : '')
+  );
+}
+
+module.exports = {
+  listExportCustomJobs,
+  matchJob,
+  findJob
+};
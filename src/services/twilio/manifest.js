@@ -0,0 +1,126 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { join } = require('path');
+const fsExtra = require('fs-extra');
+
+const MANIFEST_FILE_NAME = 'manifest.json';
+
+/**
+ * Day statuses recorded in the manifest:
+ *   downloaded  The file was downloaded and verified; `bytes`, `sha256` and `records` describe it
+ *   empty       Twilio reported no records for the day, so there is no file
+ *   failed      The last download attempt failed; `error` holds the reason and `quarantinedPath`
+ *               the corrupt file, when one was kept
+ */
+const DAY_STATUS = {
+  DOWNLOADED: 'downloaded',
+  EMPTY: 'empty',
+  FAILED: 'failed'
+};
+
+/**
+ * Computes the SHA-256 checksum and size of a file without reading it into memory.
+ *
+ * @param {string} filePath - The file to hash.
+ * @returns {Promise<{sha256: string, bytes: number}>}
+ */
+async function fileChecksum(filePath) {
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    bytes += chunk.length;
+  }
+  return { sha256: hash.digest('hex'), bytes };
+}
+
+/**
+ * Opens the manifest of a job folder, creating an empty one when the folder has none.
+ * The manifest records, per day, its status, file size, checksum and download time, so a later
+ * run can skip the days that are already downloaded and only fetch the failed or missing ones.
+ *
+ * Updates are written to disk one at a time, in order, through a temporary file that is renamed
+ * over manifest.json, so the manifest stays valid even when the run is interrupted.
+ *
+ * @param {string} jobFolder - The job folder.
+ * @param {{jobSid: string, friendlyName?: string}} job - The export job the folder belongs to.
+ * @returns {Promise<{path: string, days: Object, update: function(Object): Promise<void>,
+ *   isVerified: function(string, string): Promise<boolean>, flush: function(): Promise<void>}>}
+ */
+async function openManifest(jobFolder, job) {
+  const manifestPath = join(jobFolder, MANIFEST_FILE_NAME);
+  const manifest = { jobs: [], updatedAt: null, days: {} };
+
+  if (await fsExtra.pathExists(manifestPath)) {
+    try {
+      const existing = await fsExtra.readJson(manifestPath);
+      if (existing && existing.days && typeof existing.days === 'object') {
+        manifest.days = existing.days;
+        manifest.jobs = Array.isArray(existing.jobs) ? existing.jobs : [];
+      }
+    } catch (error) {
+      // An unreadable manifest only means the days are downloaded again
+    }
+  }
+
+  // A folder can hold the days of several jobs, e.g. the chunks of a range longer than one job allows
+  if (!manifest.jobs.some(entry => entry.jobSid === job.jobSid)) {
+    manifest.jobs.push({ jobSid: job.jobSid, friendlyName: job.friendlyName || null });
+  }
+
+  let pending = Promise.resolve();
+
+  function save() {
+    manifest.updatedAt = new Date().toISOString();
+    const snapshot = JSON.stringify(manifest, null, 2);
+    pending = pending.catch(() => {}).then(async () => {
+      const tempPath = `${manifestPath}.tmp`;
+      await fsExtra.writeFile(tempPath, snapshot);
+      await fsExtra.move(tempPath, manifestPath, { overwrite: true });
+    });
+    return pending;
+  }
+
+  return {
+    path: manifestPath,
+    days: manifest.days,
+
+    /**
+     * Records the outcome for one or more days, given as { [day]: entry }, and saves the manifest.
+     */
+    update(entries) {
+      const updatedAt = new Date().toISOString();
+      Object.entries(entries).forEach(([day, entry]) => {
+        manifest.days[day] = { ...entry, updatedAt };
+      });
+      return save();
+    },
+
+    /**
+     * Returns true when the day was downloaded and its file still matches the recorded size and checksum.
+     */
+    async isVerified(day, filePath) {
+      const entry = manifest.days[day];
+      if (!entry || entry.status !== DAY_STATUS.DOWNLOADED || !await fsExtra.pathExists(filePath)) {
+        return false;
+      }
+      const { size } = await fsExtra.stat(filePath);
+      if (size !== entry.bytes) {
+        return false;
+      }
+      const { sha256 } = await fileChecksum(filePath);
+      return sha256 === entry.sha256;
+    },
+
+    flush() {
+      return pending;
+    }
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE_NAME,
+  DAY_STATUS,
+  fileChecksum,
+  openManifest
+};
@@ -0,0 +1,200 @@
+const RestException = require('twilio/lib/base/RestException').default;
+const logger = require('../../utils/logger');
+
+// HTTP statuses that mean "slow down" rather than "this request is wrong"
+const THROTTLE_STATUSES = new Set([429, 503]);
+
+// Backoff used when a throttled response has no Retry-After header
+const DEFAULT_THROTTLE_DELAY_MS = 5000;
+const MAX_THROTTLE_DELAY_MS = 5 * 60 * 1000;
+
+// How often an idle worker checks whether it may start again
+const IDLE_CHECK_MS = 250;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Upper bound for --concurrency; more parallel downloads only trip Twilio's rate limits
+const MAX_CONCURRENCY = 32;
+
+/**
+ * Validates a download concurrency setting.
+ *
+ * @param {number|string|undefined} value - The concurrency, e.g. from --concurrency.
+ * @throws {Error} If the value is set but not a whole number between 1 and MAX_CONCURRENCY
+ */
+function validateConcurrency(value) {
+  if (value === undefined || value === null) {
+    return;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > MAX_CONCURRENCY) {
+    throw new Error(`Invalid concurrency: ${value}. Use a whole number from 1 to ${MAX_CONCURRENCY}`);
+  }
+}
+
+/**
+ * Adds random jitter to a delay, so workers that were throttled together do not all retry at once.
+ *
+ * @param {number} ms - The base delay.
+ * @returns {number} A delay between the base delay and 50% more
+ */
+function withJitter(ms) {
+  return Math.round(ms * (1 + Math.random() / 2));
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date.
+ *
+ * @param {string|number|undefined} value - The header value.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {number|null} The delay in milliseconds, or null when the header is missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Makes a Twilio SDK HTTP client keep the headers of throttled responses. The SDK turns error
+ * responses into a RestException with the status but without the headers, so the Retry-After of a
+ * 429 or 503 would be lost; the wrapped client throws that RestException itself, with the response
+ * headers attached as `headers`.
+ *
+ * @param {Object} httpClient - The SDK's HTTP client, e.g. a twilio.RequestClient.
+ * @returns {Object} The same client
+ */
+function keepThrottleHeaders(httpClient) {
+  const request = httpClient.request.bind(httpClient);
+  httpClient.request = async opts => {
+    const response = await request(opts);
+    if (THROTTLE_STATUSES.has(response.statusCode)) {
+      const error = new RestException(response);
+      error.headers = response.headers || {};
+      throw error;
+    }
+    return response;
+  };
+  return httpClient;
+}
+
+/**
+ * Tells whether an error is a throttling response (HTTP 429 or 503) from the Twilio client or axios,
+ * and how long the server asked to wait. Twilio client errors only carry the Retry-After header when
+ * the client was created with keepThrottleHeaders.
+ *
+ * @param {Error} error - The error thrown by the request.
+ * @returns {{throttled: boolean, status: number|undefined, retryAfterMs: number|null}}
+ */
+function getThrottleInfo(error) {
+  const status = error.status || (error.response && error.response.status);
+  const headers = (error.response && error.response.headers) || error.headers || {};
+  return {
+    throttled: THROTTLE_STATUSES.has(status),
+    status,
+    retryAfterMs: parseRetryAfter(headers['retry-after'] || headers['Retry-After'])
+  };
+}
+
+/**
+ * Creates an adaptive limit for concurrent requests. The limit starts at `concurrency`; a throttled
+ * response halves it and pauses every worker for the Retry-After delay (with jitter), and each run of
+ * successful requests raises it again by one, up to `concurrency`.
+ *
+ * @param {Object} settings
+ * @param {number} settings.concurrency - Maximum number of concurrent requests.
+ * @returns {{limit: function(): number, pauseMs: function(): number,
+ *   throttled: function(number|null): number, succeeded: function(): void}}
+ */
+function createThrottle({ concurrency }) {
+  let limit = concurrency;
+  let pausedUntil = 0;
+  let successes = 0;
+
+  return {
+    limit: () => limit,
+
+    /**
+     * Milliseconds until paused requests may start again; 0 when not paused.
+     */
+    pauseMs: () => Math.max(0, pausedUntil - Date.now()),
+
+    /**
+     * Records a throttled response and returns how long to wait before retrying.
+     */
+    throttled(retryAfterMs) {
+      const delay = withJitter(Math.min(retryAfterMs ?? DEFAULT_THROTTLE_DELAY_MS, MAX_THROTTLE_DELAY_MS));
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      successes = 0;
+      if (limit > 1) {
+        limit = Math.max(1, Math.floor(limit / 2));
+        logger.warn(`Rate limited by Twilio: reducing download concurrency to ${limit} and pausing ${Math.round(delay / 1000)}s`);
+      }
+      return delay;
+    },
+
+    /**
+     * Records a successful request; after `limit` successes in a row the limit grows by one.
+     */
+    succeeded() {
+      successes++;
+      if (limit < concurrency && successes >= limit) {
+        limit++;
+        successes = 0;
+        logger.debug(`Raising download concurrency to ${limit}`);
+      }
+    }
+  };
+}
+
+/**
+ * Runs a task for every item with a fixed pool of workers, at most `concurrency` at a time
+ * and fewer while the throttle limits them. Results are returned in the order of the items.
+ *
+ * @param {Array} items - The items to process.
+ * @param {number} concurrency - Number of workers.
+ * @param {ReturnType<typeof createThrottle>} throttle - Limits the workers that may run.
+ * @param {function(*, number): Promise<*>} task - Called with each item and its index.
+ * @returns {Promise<Array>} The task results
+ */
+async function runPool(items, concurrency, throttle, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker(workerIndex) {
+    while (next < items.length) {
+      const pause = throttle.pauseMs();
+      if (pause > 0) {
+        await sleep(pause);
+      } else if (workerIndex >= throttle.limit()) {
+        // Workers above the current limit idle until it grows again
+        await sleep(IDLE_CHECK_MS);
+      } else {
+        const index = next++;
+        results[index] = await task(items[index], index);
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, (_, index) => worker(index));
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  MAX_CONCURRENCY,
+  validateConcurrency,
+  sleep,
+  withJitter,
+  parseRetryAfter,
+  keepThrottleHeaders,
+  getThrottleInfo,
+  createThrottle,
+  runPool
+};
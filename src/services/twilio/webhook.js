@@ -0,0 +1,194 @@
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// Local port the listener binds to unless --webhook-port is given
+const DEFAULT_WEBHOOK_PORT = 8787;
+
+// Minutes to wait for a job's callback before falling back to polling
+const DEFAULT_WEBHOOK_WAIT_MINUTES = 30;
+
+// Callback bodies are only logged, so anything larger is cut off
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Each job gets its own callback path; the random key is what makes a request a genuine callback
+const CALLBACK_PATH = /\/bulk-export\/([a-f0-9]{32})\/?$/;
+
+/**
+ * Validates the webhook settings.
+ *
+ * @param {{webhookUrl?: string, webhookPort?: number|string, webhookWait?: number|string}} options
+ * @throws {Error} If the URL is not http(s), the port is not a valid port or the wait is not a positive number
+ */
+function validateWebhookOptions({ webhookUrl, webhookPort, webhookWait }) {
+  if (webhookUrl !== undefined && webhookUrl !== null) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch (error) {
+      throw new Error(`Invalid webhook URL: ${webhookUrl}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Invalid webhook URL: ${webhookUrl}. Use an http or https URL`);
+    }
+  }
+  if (webhookPort !== undefined && webhookPort !== null) {
+    const port = Number(webhookPort);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error(`Invalid webhook port: ${webhookPort}. Use a whole number from 1 to 65535`);
+    }
+  }
+  if (webhookWait !== undefined && webhookWait !== null) {
+    const minutes = Number(webhookWait);
+    if (isNaN(minutes) || minutes <= 0) {
+      throw new Error(`Invalid webhook wait: ${webhookWait}. Use a number of minutes greater than 0`);
+    }
+  }
+}
+
+/**
+ * Creates a local HTTP listener for the callbacks Twilio sends when an export job completes.
+ * Twilio calls the public URL (e.g. a tunnel to this machine), which must forward to the local port.
+ *
+ * @param {Object} params
+ * @param {string} params.publicUrl - Base URL Twilio calls; callback paths are appended to it.
+ * @param {number} [params.port] - Local port to listen on.
+ * @param {number} [params.waitMinutes] - How long to wait for a callback before giving up on it.
+ * @returns {{start: Function, expect: Function, close: Function, waitMinutes: number}} The listener
+ */
+function createWebhookListener({ publicUrl, port = DEFAULT_WEBHOOK_PORT, waitMinutes = DEFAULT_WEBHOOK_WAIT_MINUTES }) {
+  // Callbacks we are waiting for, keyed by the random part of their path
+  const expected = new Map();
+  let server = null;
+
+  function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const match = CALLBACK_PATH.exec(pathname);
+    const callback = match && expected.get(match[1]);
+    if (!callback) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      if (body.length < MAX_BODY_BYTES) {
+        body += chunk.toString('utf8', 0, MAX_BODY_BYTES - body.length);
+      }
+    });
+    req.on('end', () => {
+      res.writeHead(204).end();
+      logger.info(`Received completion callback for ${callback.label}`, { method: req.method, body: body || undefined });
+      callback.received = true;
+      callback.notify();
+    });
+  }
+
+  return {
+    waitMinutes,
+
+    /**
+     * Starts listening.
+     * @returns {Promise<number>} The port listened on, which the system picks when `port` is 0
+     * @throws {Error} If the port cannot be bound
+     */
+    start() {
+      server = http.createServer(handleRequest);
+      return new Promise((resolve, reject) => {
+        server.once('error', error => reject(new Error(`Could not start webhook listener on port ${port}: ${error.message}`)));
+        server.listen(port, () => {
+          logger.info(`Listening for export job callbacks on port ${server.address().port}`, { publicUrl });
+          resolve(server.address().port);
+        });
+      });
+    },
+
+    /**
+     * Registers a callback for one job, before the job is created.
+     *
+     * @param {string} label - Name of the job, for log messages.
+     * @returns {{url: string, wait: function(): Promise<boolean>}} The callback URL to give Twilio, and a
+     *   function that resolves true once the callback has arrived or false when waitMinutes pass first
+     */
+    expect(label) {
+      const key = crypto.randomBytes(16).toString('hex');
+      const callback = { label, received: false, notify: () => {} };
+      expected.set(key, callback);
+
+      return {
+        url: `${publicUrl.replace(/\/+$/, '')}/bulk-export/${key}`,
+        wait() {
+          return new Promise(resolve => {
+            const finish = received => {
+              clearTimeout(timer);
+              expected.delete(key);
+              resolve(received);
+            };
+            const timer = setTimeout(() => finish(false), waitMinutes * 60 * 1000);
+            callback.notify = () => finish(true);
+            // The callback may have arrived while the job was being created
+            if (callback.received) {
+              finish(true);
+            }
+          });
+        }
+      };
+    },
+
+    /**
+     * Stops listening.
+     */
+    close() {
+      expected.clear();
+      if (!server || !server.listening) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => {
+        server.close(() => resolve());
+        // Callers that keep connections alive would otherwise hold the listener open
+        server.closeAllConnections();
+      });
+    }
+  };
+}
+
+/**
+ * Runs `fn` with a started webhook listener when a webhook URL is configured, and with null otherwise.
+ * If the listener cannot start, the jobs are polled instead. The listener is closed when `fn` settles.
+ *
+ * @param {{webhookUrl?: string, webhookPort?: number, webhookWait?: number}} options - The processing options.
+ * @param {function(Object|null): Promise<*>} fn - Work that creates and waits for export jobs.
+ * @returns {Promise<*>} The result of `fn`
+ */
+async function withWebhookListener({ webhookUrl, webhookPort, webhookWait }, fn) {
+  if (!webhookUrl) {
+    return fn(null);
+  }
+
+  const listener = createWebhookListener({
+    publicUrl: webhookUrl,
+    port: webhookPort !== undefined && webhookPort !== null ? Number(webhookPort) : DEFAULT_WEBHOOK_PORT,
+    waitMinutes: webhookWait !== undefined && webhookWait !== null ? Number(webhookWait) : DEFAULT_WEBHOOK_WAIT_MINUTES
+  });
+  try {
+    await listener.start();
+  } catch (error) {
+    logger.warn(`${error.message}; polling for job completion instead`);
+    await listener.close();
+    return fn(null);
+  }
+
+  try {
+    return await fn(listener);
+  } finally {
+    await listener.close();
+  }
+}
+
+module.exports = {
+  DEFAULT_WEBHOOK_PORT,
+  DEFAULT_WEBHOOK_WAIT_MINUTES,
+  validateWebhookOptions,
+  createWebhookListener,
+  withWebhookListener
+};
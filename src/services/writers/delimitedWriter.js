@@ -0,0 +1,99 @@
+const { createFileStream, writeWithBackpressure, endStream, discardFileStream } = require('../../utils/streams');
+
+
+/**
+ * Converts a raw record value into a string, stringifying objects and arrays as JSON.
+ */
+function stringifyValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Renders a single cell according to the dialect.
+ *
+ * @param {*} value - The raw record value.
+ * @param {string} column - The column the value belongs to.
+ * @param {import('../../config/dialects').Dialect} dialect - The resolved CSV dialect.
+ * @param {{phoneFields: Set<string>, decimalFields: Set<string>}} fieldTypes - Phone number and decimal columns.
+ * @returns {string} The cell text, quoted or escaped as needed
+ */
+function formatCell(value, column, dialect, fieldTypes) {
+  let cell = stringifyValue(value);
+
+  if (!dialect.preserveNewlines) {
+    // Replace newline characters with a space.
+    cell = cell.replace(/\r?\n|\r/g, ' ');
+  }
+
+  if (fieldTypes.decimalFields.has(column) && dialect.decimalSeparator !== '.') {
+    cell = cell.replace('.', dialect.decimalSeparator);
+  }
+
+  if (fieldTypes.phoneFields.has(column) && dialect.phoneAsText) {
+    // Wrap in formula syntax: ="value" to force text formatting in Excel.
+    return `="${cell.replace(/"/g, '""')}"`;
+  }
+
+  const needsQuotes = cell.includes(dialect.delimiter) || /["\r\n]/.test(cell);
+  if (needsQuotes || (dialect.quoting === 'all' && cell !== '')) {
+    return `"${cell.replace(/"/g, '""')}"`;
+  }
+  return cell;
+}
+
+/**
+ * Creates a writer that streams records as rows of delimited text.
+ *
+ * @param {string} filePath - The output file path.
+ * @param {Object} dialect - A dialect resolved with resolveDialect.
+ * @param {Object} [resource] - The resource type of the records (see config/resources.js); its phone and
+ *   decimal fields follow the dialect's phoneAsText and decimalSeparator. Without it no column is treated specially.
+ * @returns {import('./index').RecordWriter}
+ */
+function createDelimitedWriter(filePath, dialect, resource = null) {
+  const fieldTypes = {
+    phoneFields: new Set(resource ? resource.phoneFields : []),
+    decimalFields: new Set(resource ? resource.decimalFields : [])
+  };
+  let stream = null;
+  let columns = [];
+  let count = 0;
+
+  return {
+    path: filePath,
+
+    async open(outputColumns, { append = false } = {}) {
+      columns = outputColumns;
+      stream = createFileStream(filePath, { append });
+      if (append) {
+        // The file already has its header; rows start with a newline, so they continue it
+        return;
+      }
+      const header = columns.map(col => formatCell(col.header, null, dialect, fieldTypes)).join(dialect.delimiter);
+      await writeWithBackpressure(stream, (dialect.bom ? '\uFEFF' : '') + header);
+    },
+
+    async write(record) {
+      const row = columns.map(col => formatCell(record[col.field], col.field, dialect, fieldTypes)).join(dialect.delimiter);
+      await writeWithBackpressure(stream, dialect.newline + row);
+      count++;
+    },
+
+    async close() {
+      await endStream(stream);
+      return { path: filePath, count, bytes: stream.bytesWritten };
+    },
+
+    abort() {
+      if (stream) discardFileStream(stream);
+    }
+  };
+}
+
+module.exports = { createDelimitedWriter };
@@ -0,0 +1,109 @@
+const path = require('path');
+const { createDelimitedWriter } = require('./delimitedWriter');
+const { createNdjsonWriter } = require('./ndjsonWriter');
+const { createXlsxWriter } = require('./xlsxWriter');
+const { resolveDialect } = require('../../config/dialects');
+const { getResource } = require('../../config/resources');
+
+/**
+ * A writer receives the processed records one at a time and streams them to an output file.
+ *
+ * @typedef {Object} RecordWriter
+ * @property {string} path - The output file path.
+ * @property {function(Array<{field: string, header: string}>, {append?: boolean}=): Promise<void>} open - Called
+ *   once with the output columns (record field and header name) before any record. With `append`, the writer
+ *   continues a file an earlier writer closed; only formats with `append` in FORMATS support it.
+ * @property {function(Object): Promise<void>} write - Called for each record, in order.
+ * @property {function(): Promise<{path: string, count: number}>} close - Flushes and closes the output.
+ * @property {function(): void} abort - Releases resources after a failure and removes the incomplete output file.
+ */
+
+/**
+ * Supported output formats, keyed by the name used with --format.
+ * `fileName` builds the file name from a base name ("export", or e.g. "export_2025-04-01" for a split part);
+ * `create` receives the output path and the processing options; `options.resource` names the resource type
+ * whose field types (phone numbers, decimals, dates, durations) the writer formats.
+ * `append` tells how a new file of the format is appended to an existing one (see sync/dataset.js):
+ * 'rows' skips the header line, 'lines' appends the whole file; formats without it cannot be appended.
+ */
+const FORMATS = {
+  csv: {
+    fileName: base => `${base}.csv`,
+    description: 'CSV in the selected dialect (default, semicolon-separated for Excel)',
+    create: (filePath, options) => createDelimitedWriter(filePath, resolveDialect(options.dialect), getResource(options.resource)),
+    append: 'rows'
+  },
+  rfc4180: {
+    fileName: base => `${base}_rfc4180.csv`,
+    description: 'Standard comma-separated CSV (RFC 4180)',
+    create: (filePath, options) => createDelimitedWriter(filePath, resolveDialect('rfc4180'), getResource(options.resource)),
+    append: 'rows'
+  },
+  tsv: {
+    fileName: base => `${base}.tsv`,
+    description: 'Tab-separated values',
+    create: (filePath, options) => createDelimitedWriter(filePath, resolveDialect('tsv'), getResource(options.resource)),
+    append: 'rows'
+  },
+  ndjson: {
+    fileName: base => `${base}.ndjson`,
+    description: 'Newline-delimited JSON, one record per line',
+    create: filePath => createNdjsonWriter(filePath),
+    append: 'lines'
+  },
+  xlsx: {
+    fileName: base => `${base}.xlsx`,
+    description: 'Excel workbook with typed date, number and duration cells',
+    create: (filePath, options) => createXlsxWriter(filePath, getResource(options.resource))
+  }
+};
+
+const DEFAULT_FORMATS = ['csv'];
+
+const DEFAULT_BASE_NAME = 'export';
+
+/**
+ * Validates a list of output format names.
+ *
+ * @param {string[]} formats - Format names to validate.
+ * @throws {Error} If a format is not supported
+ */
+function validateFormats(formats) {
+  const unknown = formats.filter(format => !FORMATS[format]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unsupported output format: ${unknown.join(', ')}. Supported formats: ${Object.keys(FORMATS).join(', ')}`
+    );
+  }
+}
+
+/**
+ * Creates one writer per requested format, writing into the job folder.
+ * Duplicate format names are ignored.
+ *
+ * @param {string} jobFolder - The folder where the output files are written.
+ * @param {Object} [options] - Processing options.
+ * @param {string[]} [options.formats] - Output format names; defaults to CSV.
+ * @param {string|Object} [options.dialect] - CSV dialect used by the csv format.
+ * @param {string} [options.resource] - Resource type of the records; defaults to Messages.
+ * @param {string} [baseName] - Base file name without extension.
+ * @returns {Array<RecordWriter & {format: string}>}
+ */
+function createWriters(jobFolder, options = {}, baseName = DEFAULT_BASE_NAME) {
+  const formats = options.formats && options.formats.length > 0 ? options.formats : DEFAULT_FORMATS;
+  const requested = [...new Set(formats)];
+  validateFormats(requested);
+
+  return requested.map(format => ({
+    format,
+    ...FORMATS[format].create(path.join(jobFolder, FORMATS[format].fileName(baseName)), options)
+  }));
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_FORMATS,
+  DEFAULT_BASE_NAME,
+  validateFormats,
+  createWriters
+};
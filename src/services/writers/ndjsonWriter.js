@@ -0,0 +1,43 @@
+const { createFileStream, writeWithBackpressure, endStream, discardFileStream } = require('../../utils/streams');
+
+/**
+ * Creates a writer that streams records as newline-delimited JSON, one object per line.
+ * Each object contains the output columns in order, keyed by their header, with missing values written as null.
+ *
+ * @param {string} filePath - The output file path.
+ * @returns {import('./index').RecordWriter}
+ */
+function createNdjsonWriter(filePath) {
+  let stream = null;
+  let columns = [];
+  let count = 0;
+
+  return {
+    path: filePath,
+
+    async open(outputColumns, { append = false } = {}) {
+      columns = outputColumns;
+      stream = createFileStream(filePath, { append });
+    },
+
+    async write(record) {
+      const row = {};
+      columns.forEach(col => {
+        row[col.header] = record[col.field] !== undefined ? record[col.field] : null;
+      });
+      await writeWithBackpressure(stream, `${JSON.stringify(row)}\n`);
+      count++;
+    },
+
+    async close() {
+      await endStream(stream);
+      return { path: filePath, count, bytes: stream.bytesWritten };
+    },
+
+    abort() {
+      if (stream) discardFileStream(stream);
+    }
+  };
+}
+
+module.exports = { createNdjsonWriter };
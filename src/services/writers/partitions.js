@@ -0,0 +1,261 @@
+const path = require('path');
+const fsExtra = require('fs-extra');
+const { FORMATS, createWriters, DEFAULT_BASE_NAME } = require('./index');
+const { MESSAGE_FIELDS, FILE_DATE_FIELD } = require('../../utils/columns');
+const { getResource } = require('../../config/resources');
+
+const INDEX_FILE_NAME = `${DEFAULT_BASE_NAME}_index.json`;
+
+// Parts a field split keeps open at once; each holds a file per format
+const MAX_OPEN_PARTS = 64;
+
+/**
+ * Parses the --split option.
+ *   day          One part per export day (export_YYYY-MM-DD)
+ *   month        One part per month (export_YYYY-MM)
+ *   field:<name> One part per value of a field, e.g. field:from (export_from_<value>)
+ *   rows:<n>     A new part every n records (export_part001, export_part002, ...)
+ *
+ * @param {string} [spec] - The split option.
+ * @param {string[]} [knownFields] - Fields that may be used with field:<name>.
+ * @returns {{mode: string, field?: string, maxRows?: number}|null} The split, or null for a single output
+ * @throws {Error} If the option is invalid
+ */
+function parseSplitOption(spec, knownFields = MESSAGE_FIELDS) {
+  if (!spec || spec === 'none') {
+    return null;
+  }
+
+  const [mode, ...rest] = String(spec).split(':');
+  const argument = rest.join(':').trim();
+
+  switch (mode.trim().toLowerCase()) {
+    case 'day':
+      return { mode: 'day' };
+    case 'month':
+      return { mode: 'month' };
+    case 'field':
+      if (!argument) {
+        throw new Error('--split field requires a field name, e.g. --split field:from');
+      }
+      if (!knownFields.includes(argument) && argument !== FILE_DATE_FIELD) {
+        throw new Error(`Unknown field "${argument}" for --split. Known fields: ${knownFields.join(', ')}`);
+      }
+      return { mode: 'field', field: argument };
+    case 'rows': {
+      const maxRows = Number(argument);
+      if (!Number.isInteger(maxRows) || maxRows < 1) {
+        throw new Error('--split rows requires a positive whole number, e.g. --split rows:1000000');
+      }
+      return { mode: 'rows', maxRows };
+    }
+    default:
+      throw new Error(`Invalid --split option: ${spec}. Use day, month, field:<name> or rows:<n>`);
+  }
+}
+
+/**
+ * Converts a field value into a safe file name fragment.
+ */
+function sanitizeFilePart(value) {
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, '_').replace(/_{2,}/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Creates the set of output files for a processing run.
+ * Without a split every record goes to a single part ("export"); with a split each part gets its
+ * own writers (one per format) and an index of all parts is written to export_index.json.
+ *
+ * Day, month and row splits receive records in date order, so only one part is open at a time.
+ * Field splits keep up to MAX_OPEN_PARTS parts open; beyond that the least recently written part is
+ * closed, and reopened to append to when its value shows up again. Formats that cannot be appended
+ * to (xlsx) fail the run when a field has more values than that.
+ * When the run is aborted, every part written so far is removed, along with the index.
+ *
+ * @param {string} jobFolder - The folder where the output files are written.
+ * @param {Object} options - Processing options (formats, dialect, split, resource).
+ * @returns {{open: function(Array): Promise<void>, write: function(Object): Promise<void>,
+ *   close: function(): Promise<{outputs: Array, parts: Array, indexPath: string|null}>, abort: function(): void}}
+ */
+function createOutputSet(jobFolder, options = {}) {
+  const split = parseSplitOption(options.split, getResource(options.resource).fields);
+  // Every part so far, in the order of their first record
+  const parts = new Map();
+  // The parts with open writers, from the least to the most recently written
+  const openParts = new Map();
+  const usedNames = new Set();
+  let columns = [];
+  let rowPartNumber = 0;
+  let rowPartCount = 0;
+
+  function partKey(record) {
+    if (!split) {
+      return DEFAULT_BASE_NAME;
+    }
+    switch (split.mode) {
+      case 'day':
+        return record[FILE_DATE_FIELD] || 'unknown';
+      case 'month':
+        return record[FILE_DATE_FIELD] ? record[FILE_DATE_FIELD].slice(0, 7) : 'unknown';
+      case 'field': {
+        const value = record[split.field];
+        return value === undefined || value === null || value === '' ? '' : String(value);
+      }
+      case 'rows':
+        if (rowPartNumber === 0 || rowPartCount >= split.maxRows) {
+          rowPartNumber++;
+          rowPartCount = 0;
+        }
+        rowPartCount++;
+        return String(rowPartNumber);
+    }
+    return DEFAULT_BASE_NAME;
+  }
+
+  function partName(key) {
+    if (!split) {
+      return DEFAULT_BASE_NAME;
+    }
+    if (split.mode === 'rows') {
+      return `${DEFAULT_BASE_NAME}_part${key.padStart(3, '0')}`;
+    }
+    if (split.mode !== 'field') {
+      return `${DEFAULT_BASE_NAME}_${key}`;
+    }
+
+    // Different values can sanitize to the same name, so number the duplicates
+    const base = `${DEFAULT_BASE_NAME}_${sanitizeFilePart(split.field)}_${sanitizeFilePart(key) || 'none'}`;
+    let name = base;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${base}_${n}`;
+    }
+    usedNames.add(name);
+    return name;
+  }
+
+  /**
+   * Closes the writers of a part. Their files are added up with those of earlier writers of the part,
+   * which wrote the start of the same files.
+   */
+  async function closePart(part) {
+    for (const [index, writer] of part.writers.entries()) {
+      const file = { format: writer.format, ...await writer.close() };
+      const earlier = part.files[index];
+      part.files[index] = earlier
+        ? { ...file, count: earlier.count + file.count, bytes: file.bytes !== undefined ? earlier.bytes + file.bytes : undefined }
+        : file;
+    }
+    part.writers = null;
+    openParts.delete(part.key);
+  }
+
+  async function getPart(key) {
+    let part = parts.get(key);
+    if (part && part.writers) {
+      // Most recently written last
+      openParts.delete(key);
+      openParts.set(key, part);
+      return part;
+    }
+
+    if (split && split.mode !== 'field') {
+      // Sequential splits: the previous part is complete once a new key shows up
+      if (part) {
+        throw new Error(`Records for part ${key} are not contiguous; cannot split by ${split.mode}`);
+      }
+      for (const openPart of [...openParts.values()]) {
+        await closePart(openPart);
+      }
+    } else if (openParts.size >= MAX_OPEN_PARTS) {
+      const leastRecent = openParts.values().next().value;
+      const fixed = leastRecent.writers.filter(writer => !FORMATS[writer.format].append).map(writer => writer.format);
+      if (fixed.length > 0) {
+        throw new Error(
+          `--split ${options.split} has more than ${MAX_OPEN_PARTS} values, and ${fixed.join(', ')} output cannot be ` +
+          'reopened to append to; split by a field with fewer values, or use csv, tsv or ndjson'
+        );
+      }
+      await closePart(leastRecent);
+    }
+
+    if (!part) {
+      part = { key, name: partName(key), count: 0, files: [], writers: null };
+      parts.set(key, part);
+    }
+    const append = part.files.length > 0;
+    part.writers = createWriters(jobFolder, options, part.name);
+    openParts.set(key, part);
+    for (const writer of part.writers) {
+      await writer.open(columns, { append });
+    }
+    return part;
+  }
+
+  // The parts as listed in the result and the index
+  const listParts = () => [...parts.values()].map(part => ({ name: part.name, key: part.key, records: part.count, files: part.files }));
+
+  return {
+    split,
+
+    async open(outputColumns) {
+      columns = outputColumns;
+      if (!split) {
+        // A single output is created up front so that it exists even when no record matches
+        await getPart(DEFAULT_BASE_NAME);
+      }
+    },
+
+    async write(record) {
+      const part = await getPart(partKey(record));
+      for (const writer of part.writers) {
+        await writer.write(record);
+      }
+      part.count++;
+    },
+
+    async close() {
+      for (const part of [...openParts.values()]) {
+        await closePart(part);
+      }
+
+      const closedParts = listParts();
+      const outputs = closedParts.flatMap(part => part.files);
+      if (!split) {
+        return { outputs, parts: closedParts, indexPath: null };
+      }
+
+      const indexPath = path.join(jobFolder, INDEX_FILE_NAME);
+      await fsExtra.writeJson(indexPath, {
+        split: split.mode === 'field' ? `field:${split.field}` : split.mode === 'rows' ? `rows:${split.maxRows}` : split.mode,
+        generatedAt: new Date().toISOString(),
+        columns: columns.map(col => col.header),
+        parts: closedParts.map(part => ({
+          name: part.name,
+          key: part.key,
+          records: part.records,
+          files: part.files.map(file => ({ format: file.format, file: path.basename(file.path) }))
+        }))
+      }, { spaces: 2 });
+
+      return { outputs, parts: closedParts, indexPath };
+    },
+
+    abort() {
+      openParts.forEach(part => part.writers.forEach(writer => writer.abort()));
+      // Parts that were closed already would look complete, and an index from an earlier run would list them
+      parts.forEach(part => {
+        if (!openParts.has(part.key)) {
+          part.files.forEach(file => fsExtra.removeSync(file.path));
+        }
+      });
+      if (split) {
+        fsExtra.removeSync(path.join(jobFolder, INDEX_FILE_NAME));
+      }
+    }
+  };
+}
+
+module.exports = {
+  parseSplitOption,
+  createOutputSet
+};
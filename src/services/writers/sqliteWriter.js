@@ -0,0 +1,155 @@
+const path = require('path');
+const fsExtra = require('fs-extra');
+const Database = require('better-sqlite3');
+const { FILE_DATE_FIELD } = require('../../utils/columns');
+const { parseAmount, toNumber } = require('../../utils/money');
+
+// Rows written per transaction; one transaction per row would make large loads very slow
+const BATCH_SIZE = 1000;
+
+/**
+ * Builds the columns of a resource's table: record field, column name and SQLite type.
+ * The record ID comes first as the primary key; decimals are REAL, whole numbers and durations INTEGER,
+ * everything else TEXT. Dates are kept as Twilio's ISO 8601 UTC strings, which SQLite's date functions understand.
+ *
+ * @param {Object} resource - The resource type (see config/resources.js).
+ * @returns {Array<{field: string, column: string, type: string}>}
+ */
+function tableColumns(resource) {
+  const integerFields = new Set([...resource.integerFields, ...resource.durationFields]);
+  const typeOf = field => {
+    if (resource.decimalFields.includes(field)) return 'REAL';
+    return integerFields.has(field) ? 'INTEGER' : 'TEXT';
+  };
+  return [
+    { field: resource.idField, column: resource.idField, type: 'TEXT PRIMARY KEY NOT NULL' },
+    ...resource.fields
+      .filter(field => field !== resource.idField)
+      .map(field => ({ field, column: field, type: typeOf(field) })),
+    { field: FILE_DATE_FIELD, column: 'file_date', type: 'TEXT' }
+  ];
+}
+
+const quote = name => `"${name}"`;
+
+/**
+ * Converts a record value into the type of its column.
+ */
+function toColumnValue(value, { type }) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (type === 'REAL') {
+    const amount = parseAmount(value);
+    return amount === null ? null : toNumber(amount);
+  }
+  if (type === 'INTEGER') {
+    const number = Number(value);
+    return Number.isInteger(number) ? number : null;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Creates the resource's table and its indexes when they do not exist yet.
+ */
+function ensureSchema(db, table, columns, indexedFields) {
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+  ${columns.map(col => `${quote(col.column)} ${col.type}`).join(',\n  ')},
+  "loaded_at" TEXT NOT NULL
+)`);
+  indexedFields.forEach(column => {
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_${column} ON ${table} (${quote(column)})`);
+  });
+}
+
+/**
+ * Creates a writer that loads records into a SQLite database table named after the resource type
+ * (`messages`, `calls`, `conferences` or `participants`), creating the database and table when needed.
+ * Records are upserted on their ID field (e.g. `sid`), so loading an overlapping date range again
+ * updates the existing rows instead of adding duplicates. Records without an ID are skipped.
+ *
+ * Unlike the file formats, the table has a fixed typed schema and does not follow the column spec.
+ *
+ * @param {string} dbPath - Path to the SQLite database file.
+ * @param {Object} resource - The resource type of the records (see config/resources.js).
+ * @returns {import('./index').RecordWriter & {close: function(): Promise<{path: string, count: number,
+ *   inserted: number, updated: number, skipped: number}>}}
+ */
+function createSqliteWriter(dbPath, resource) {
+  const table = resource.noun;
+  const idField = resource.idField;
+  const tableColumnList = tableColumns(resource);
+  let db = null;
+  let upsert = null;
+  let insertBatch = null;
+  let batch = [];
+  let rowsBefore = 0;
+  let count = 0;
+  let skipped = 0;
+
+  function flush() {
+    if (batch.length > 0) {
+      insertBatch(batch);
+      batch = [];
+    }
+  }
+
+  return {
+    path: dbPath,
+
+    async open() {
+      await fsExtra.ensureDir(path.dirname(dbPath));
+      try {
+        db = new Database(dbPath);
+        db.pragma('journal_mode = WAL');
+        ensureSchema(db, table, tableColumnList, resource.indexedFields);
+      } catch (error) {
+        if (db) db.close();
+        throw new Error(`Failed to open SQLite database ${dbPath}: ${error.message}`);
+      }
+
+      const columns = [...tableColumnList.map(col => col.column), 'loaded_at'];
+      upsert = db.prepare(
+        `INSERT INTO ${table} (${columns.map(quote).join(', ')}) VALUES (${columns.map(col => `@${col}`).join(', ')}) ` +
+        `ON CONFLICT(${quote(idField)}) DO UPDATE SET ${columns.filter(col => col !== idField).map(col => `${quote(col)} = excluded.${quote(col)}`).join(', ')}`
+      );
+      insertBatch = db.transaction(rows => rows.forEach(row => upsert.run(row)));
+      rowsBefore = db.prepare(`SELECT COUNT(*) AS total FROM ${table}`).get().total;
+    },
+
+    async write(record) {
+      if (!record[idField]) {
+        skipped++;
+        return;
+      }
+      const row = { loaded_at: new Date().toISOString() };
+      tableColumnList.forEach(col => {
+        row[col.column] = toColumnValue(record[col.field], col);
+      });
+      batch.push(row);
+      count++;
+      if (batch.length >= BATCH_SIZE) {
+        flush();
+      }
+    },
+
+    async close() {
+      flush();
+      const rowsAfter = db.prepare(`SELECT COUNT(*) AS total FROM ${table}`).get().total;
+      db.close();
+      const inserted = rowsAfter - rowsBefore;
+      return { path: dbPath, count, inserted, updated: count - inserted, skipped };
+    },
+
+    abort() {
+      // Batches already committed stay in the database; loading again upserts them
+      if (db && db.open) db.close();
+    }
+  };
+}
+
+module.exports = {
+  tableColumns,
+  createSqliteWriter
+};
@@ -0,0 +1,117 @@
+const ExcelJS = require('exceljs');
+const { createFileStream, discardFileStream } = require('../../utils/streams');
+
+// Excel's row limit per worksheet, minus the header row
+const MAX_ROWS_PER_SHEET = 1048575;
+
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Converts a raw record value into a typed Excel cell value:
+ * dates become Date cells, numeric fields become numbers, durations in seconds become
+ * fractions of a day (Excel's time unit) and objects are stringified as JSON.
+ */
+function toCellValue(value, column, fieldTypes) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (fieldTypes.dateFields.has(column)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date;
+  }
+  if (fieldTypes.durationFields.has(column)) {
+    const seconds = Number(value);
+    return isNaN(seconds) ? String(value) : seconds / SECONDS_PER_DAY;
+  }
+  if (fieldTypes.numberFields.has(column)) {
+    const number = Number(value);
+    return isNaN(number) ? String(value) : number;
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Creates a writer that streams records into an .xlsx workbook with typed date, number and duration cells,
+ * using the field types of the resource (see config/resources.js).
+ * Rows beyond Excel's per-sheet limit continue on an additional worksheet.
+ *
+ * @param {string} filePath - The output file path.
+ * @param {Object} resource - The resource type of the records.
+ * @returns {import('./index').RecordWriter}
+ */
+function createXlsxWriter(filePath, resource) {
+  const fieldTypes = {
+    dateFields: new Set(resource.dateFields),
+    durationFields: new Set(resource.durationFields),
+    numberFields: new Set([...resource.decimalFields, ...resource.integerFields])
+  };
+  let stream = null;
+  let workbook = null;
+  let worksheet = null;
+  let sheetColumns = [];
+  let columns = [];
+  let sheetRows = 0;
+  let sheetCount = 0;
+  let count = 0;
+
+  function addWorksheet() {
+    if (worksheet) {
+      worksheet.commit();
+    }
+    sheetCount++;
+    worksheet = workbook.addWorksheet(sheetCount === 1 ? 'Export' : `Export ${sheetCount}`, {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    worksheet.columns = sheetColumns;
+    sheetRows = 0;
+  }
+
+  return {
+    path: filePath,
+
+    async open(outputColumns, { append = false } = {}) {
+      if (append) {
+        throw new Error(`Cannot append to the workbook ${filePath}`);
+      }
+      columns = outputColumns;
+      sheetColumns = columns.map(col => {
+        const isDate = fieldTypes.dateFields.has(col.field);
+        const isDuration = fieldTypes.durationFields.has(col.field);
+        return {
+          header: col.header,
+          key: col.field,
+          width: isDate ? 20 : Math.max(12, col.header.length + 2),
+          style: isDate ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : isDuration ? { numFmt: '[h]:mm:ss' } : undefined
+        };
+      });
+      // The writer owns the file stream, so an aborted workbook can be discarded like the other outputs
+      stream = createFileStream(filePath);
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+      addWorksheet();
+    },
+
+    async write(record) {
+      if (sheetRows >= MAX_ROWS_PER_SHEET) {
+        addWorksheet();
+      }
+      worksheet.addRow(columns.map(col => toCellValue(record[col.field], col.field, fieldTypes))).commit();
+      sheetRows++;
+      count++;
+    },
+
+    async close() {
+      worksheet.commit();
+      await workbook.commit();
+      return { path: filePath, count };
+    },
+
+    abort() {
+      if (stream) discardFileStream(stream);
+    }
+  };
+}
+
+module.exports = { createXlsxWriter };
@@ -1,43 +1,482 @@
-const { exit } = require('process');
-const { validateDate, validateDateRange } = require('./validation');
-const logger = require('../utils/logger');
+const { validateDate } = require('./validation');
+const { validateLastDays, validatePeriodValue } = require('./periods');
+const { validateTimeZone } = require('./timezone');
+const { validateConcurrency } = require('../services/twilio/throttle');
+const { validateFollowUps } = require('../services/twilio/followUp');
+const { validateWebhookOptions } = require('../services/twilio/webhook');
 
 /**
- * Parse and validate command-line arguments.
- * Usage: node index.js <jobSID_or_name> [YYYY-MM-DD] [YYYY-MM-DD]
+ * Command-line flags, grouped by what they apply to; each command lists the groups it accepts.
+ * Flags marked `boolean` take no value; the others take the next argument or an inline `--flag=value`.
+ * Flags marked `optionalValue` take the next argument only when it is not another flag.
+ * A flag's `requires` names a flag that must be given with it, and `validate` checks its value.
+ * `apply` stores the value in the options, from which resolveProcessingOptions picks the processing options.
  */
-function parseArguments() {
-  const args = process.argv.slice(2);
-  const jobIdentifier = args[0];
-  const userStart = args[1];
-  const userEnd = args[2];
+const COMMON_FLAGS = {
+  '--resource': {
+    description: 'Resource type: Messages (default), Calls, Conferences or Participants',
+    valueName: 'type',
+    apply: (options, value) => { options.resource = value; }
+  },
+  '--config': {
+    description: 'JSON options file (defaults to export.config.json when present)',
+    valueName: 'path',
+    apply: (options, value) => { options.configPath = value; }
+  }
+};
+
+const OUTPUT_FLAGS = {
+  '--format': {
+    description: 'Output format; may be repeated or given as a comma-separated list',
+    valueName: 'name',
+    apply: (options, value) => {
+      value.split(',').map(f => f.trim().toLowerCase()).filter(Boolean).forEach(f => options.formats.push(f));
+    }
+  },
+  '--dialect': {
+    description: 'CSV dialect profile for the csv format',
+    valueName: 'name',
+    apply: (options, value) => { options.dialect = value; }
+  },
+  '--columns': {
+    description: 'Column spec, e.g. "sid,date_sent:Sent,to:Recipient"',
+    valueName: 'spec',
+    apply: (options, value) => { options.columns = value; }
+  },
+  '--where': {
+    description: 'Filter expression; may be repeated (all must match)',
+    valueName: 'expr',
+    apply: (options, value) => { options.where.push(value); }
+  },
+  '--split': {
+    description: 'Split the output: day, month, field:<name> or rows:<n>',
+    valueName: 'mode',
+    apply: (options, value) => { options.split = value; }
+  },
+  '--cost-report': {
+    description: 'Write cost_report.json and cost_report.csv',
+    boolean: true,
+    apply: options => { options.costReport = true; }
+  },
+  '--expected-total': {
+    description: 'Expected total spend to reconcile against, e.g. USD:123.45 (implies --cost-report)',
+    valueName: '[CUR:]amount',
+    apply: (options, value) => { options.expectedTotal = value; }
+  },
+  '--sqlite': {
+    description: 'SQLite database file to load the records into (upserted on the record ID)',
+    valueName: 'path',
+    apply: (options, value) => { options.sqlite = value; }
+  },
+  '--privacy': {
+    description: 'Privacy profile for personal data, e.g. analyst, or none to export unredacted',
+    valueName: 'name',
+    apply: (options, value) => { options.privacy = value; }
+  },
+  '--dedupe': {
+    description: 'Drop records with an ID (e.g. sid) that was already exported',
+    boolean: true,
+    apply: options => { options.dedupe = true; }
+  },
+  '--tz': {
+    description: 'Time zone of the export dates and --local-times, e.g. Europe/Stockholm (default UTC)',
+    valueName: 'zone',
+    validate: validateTimeZone,
+    apply: (options, value) => { options.tz = value; }
+  },
+  '--local-times': {
+    description: 'Add <field>_local columns with the main timestamps in the --tz time zone',
+    boolean: true,
+    apply: options => { options.localTimes = true; }
+  },
+  '--no-file-date': {
+    description: 'Leave out the fileDate helper column',
+    boolean: true,
+    apply: options => { options.includeFileDate = false; }
+  },
+  '--no-summary': {
+    description: 'Do not write summary.json and summary.csv',
+    boolean: true,
+    apply: options => { options.summary = false; }
+  }
+};
+
+const DOWNLOAD_FLAGS = {
+  '--concurrency': {
+    description: 'Maximum number of simultaneous day downloads (default 8)',
+    valueName: 'n',
+    validate: validateConcurrency,
+    apply: (options, value) => { options.concurrency = Number(value); }
+  }
+};
+
+// Flags for runs that create export jobs and wait for them
+const JOB_FLAGS = {
+  '--follow-ups': {
+    description: 'Rounds of follow-up jobs for days Twilio fails to export (default 2, 0 to only report them)',
+    valueName: 'n',
+    validate: validateFollowUps,
+    apply: (options, value) => { options.followUps = Number(value); }
+  },
+  '--webhook-url': {
+    description: 'Public URL (e.g. a tunnel) that forwards to the local callback listener; new jobs call it when complete',
+    valueName: 'url',
+    apply: (options, value) => { options.webhookUrl = value; }
+  },
+  '--webhook-port': {
+    description: 'Local port of the callback listener (default 8787)',
+    valueName: 'n',
+    validate: value => validateWebhookOptions({ webhookPort: value }),
+    apply: (options, value) => { options.webhookPort = Number(value); }
+  },
+  '--webhook-wait': {
+    description: 'Minutes to wait for a job callback before polling instead (default 30)',
+    valueName: 'minutes',
+    validate: value => validateWebhookOptions({ webhookWait: value }),
+    apply: (options, value) => { options.webhookWait = Number(value); }
+  }
+};
+
+const RANGE_FLAGS = {
+  '--from': {
+    description: 'First day of the range',
+    valueName: 'YYYY-MM-DD',
+    requires: '--to',
+    validate: validateDate,
+    apply: (options, value) => { options.from = value; }
+  },
+  '--to': {
+    description: 'Last day of the range',
+    valueName: 'YYYY-MM-DD',
+    requires: '--from',
+    validate: validateDate,
+    apply: (options, value) => { options.to = value; }
+  }
+};
+
+// Date presets of the export command (see utils/periods.js)
+const PERIOD_FLAGS = {
+  '--yesterday': {
+    description: 'Export yesterday (UTC)',
+    boolean: true,
+    apply: options => { options.period = 'yesterday'; }
+  },
+  '--last-days': {
+    description: 'Export the last n complete days, up to yesterday (UTC)',
+    valueName: 'n',
+    validate: validateLastDays,
+    apply: (options, value) => { options.period = 'last-days'; options.periodValue = Number(value); }
+  },
+  '--week': {
+    description: 'Export an ISO week, Monday to Sunday; the previous week without a value (the default)',
+    valueName: 'YYYY-Www',
+    optionalValue: true,
+    validate: value => validatePeriodValue('week', value),
+    apply: (options, value) => { options.period = 'week'; options.periodValue = value; }
+  },
+  '--month': {
+    description: 'Export a month; the previous month without a value',
+    valueName: 'YYYY-MM',
+    optionalValue: true,
+    validate: value => validatePeriodValue('month', value),
+    apply: (options, value) => { options.period = 'month'; options.periodValue = value; }
+  },
+  '--quarter': {
+    description: 'Export a quarter, e.g. 2025-Q1',
+    valueName: 'YYYY-Qn',
+    validate: value => validatePeriodValue('quarter', value),
+    apply: (options, value) => { options.period = 'quarter'; options.periodValue = value; }
+  },
+  '--ytd': {
+    description: 'Export the year to date, from January 1 up to yesterday (UTC)',
+    boolean: true,
+    apply: options => { options.period = 'ytd'; }
+  }
+};
+
+const EXPORT_FLAGS = {
+  ...PERIOD_FLAGS,
+  ...RANGE_FLAGS,
+  '--name': {
+    description: 'Name of the job for a --from/--to range, e.g. q1 for Job_Custom_q1; presets name their jobs themselves',
+    valueName: 'name',
+    requires: '--from',
+    apply: (options, value) => { options.name = value; }
+  },
+  '--detach': {
+    description: 'Create or reuse the export jobs, record them as pending and exit; download them later with resume',
+    boolean: true,
+    apply: options => { options.detach = true; }
+  },
+  '--dry-run': {
+    description: 'Show which jobs would be reused, waited for or created, and the job folder, then exit without creating jobs or writing files',
+    boolean: true,
+    apply: options => { options.dryRun = true; }
+  }
+};
 
-  if (!jobIdentifier) {
-    logger.error('Error: Job identifier (SID or "name") is required.');
-    logger.info('Usage: node index.js <jobSID_or_name> [YYYY-MM-DD] [YYYY-MM-DD]');
-    exit(1);
+const SYNC_FLAGS = {
+  '--since': {
+    description: 'First day to sync; needed by the first run only',
+    valueName: 'YYYY-MM-DD',
+    validate: validateDate,
+    apply: (options, value) => { options.since = value; }
+  },
+  '--state': {
+    description: 'Sync state file (default downloads/sync_state.json)',
+    valueName: 'path',
+    apply: (options, value) => { options.statePath = value; }
+  },
+  '--dataset': {
+    description: 'Folder of the rolling dataset (default downloads/sync_dataset)',
+    valueName: 'path',
+    apply: (options, value) => { options.datasetFolder = value; }
   }
+};
 
-  if ((userStart && !userEnd) || (!userStart && userEnd)) {
-    logger.error('Error: You must provide both start and end dates or neither.');
-    logger.info('Usage: node index.js <jobSID_or_name> [YYYY-MM-DD] [YYYY-MM-DD]');
-    exit(1);
+const JSON_FLAGS = {
+  '--json': {
+    description: 'Print JSON instead of text',
+    boolean: true,
+    apply: options => { options.json = true; }
   }
+};
 
-  if (userStart && userEnd) {
-    try {
-      validateDate(userStart);
-      validateDate(userEnd);
-      validateDateRange(userStart, userEnd);
-      logger.info(`Date range filter: ${userStart} to ${userEnd}`);
-    } catch (error) {
-      logger.error(`Error: ${error.message}`);
-      logger.info('Usage: node index.js [YYYY-MM-DD] [YYYY-MM-DD]');
-      exit(1);
+const JOB_ARGUMENT = { name: 'job', description: 'Job SID or name', required: true };
+
+/**
+ * Checks that a --from/--to range does not end before it starts.
+ */
+function checkRange({ from, to }) {
+  if (from && to && to < from) {
+    throw new Error(`--to ${to} is before --from ${from}`);
+  }
+}
+
+/**
+ * The commands, keyed by the words that select them. `args` are the positional arguments, in order;
+ * `flags` the flag groups the command accepts; `exclusive` lists flags that cannot be combined.
+ * `offline` commands do not call Twilio.
+ */
+const COMMANDS = {
+  export: {
+    summary: 'Create or reuse the export job for a period, then download and process it',
+    args: [],
+    flags: [EXPORT_FLAGS, COMMON_FLAGS, OUTPUT_FLAGS, DOWNLOAD_FLAGS, JOB_FLAGS],
+    exclusive: [[...Object.keys(PERIOD_FLAGS), '--from']],
+    check: checkRange
+  },
+  download: {
+    summary: 'Download and process an existing export job',
+    args: [JOB_ARGUMENT],
+    flags: [RANGE_FLAGS, COMMON_FLAGS, OUTPUT_FLAGS, DOWNLOAD_FLAGS],
+    check: checkRange
+  },
+  process: {
+    summary: 'Process the downloaded files of a job folder again, e.g. in another format',
+    args: [{ name: 'folder', description: 'Job folder, as a path or the name of a folder in downloads/', required: true }],
+    flags: [COMMON_FLAGS, OUTPUT_FLAGS],
+    offline: true
+  },
+  sync: {
+    summary: 'Export the days since the last sync and append them to a rolling dataset',
+    args: [],
+    flags: [SYNC_FLAGS, COMMON_FLAGS, OUTPUT_FLAGS, DOWNLOAD_FLAGS, JOB_FLAGS]
+  },
+  resume: {
+    summary: 'Download the runs started with --detach whose jobs have finished',
+    args: [],
+    flags: []
+  },
+  'jobs list': {
+    summary: 'List the export jobs with their range and day counts',
+    args: [],
+    flags: [JSON_FLAGS, COMMON_FLAGS]
+  },
+  'jobs show': {
+    summary: 'Show the status of every day of a job',
+    args: [JOB_ARGUMENT],
+    flags: [JSON_FLAGS, COMMON_FLAGS]
+  },
+  'jobs status': {
+    summary: 'Show whether a job has completed',
+    args: [JOB_ARGUMENT],
+    flags: [JSON_FLAGS, COMMON_FLAGS]
+  },
+  'jobs delete': {
+    summary: 'Delete a job, given by its exact SID or name',
+    args: [JOB_ARGUMENT],
+    flags: [JSON_FLAGS, COMMON_FLAGS]
+  }
+};
+
+// Without a command, or when the arguments start with a flag, a period is exported
+const DEFAULT_COMMAND = 'export';
+
+const ALL_FLAGS = Object.assign({}, ...Object.values(COMMANDS).flatMap(command => command.flags));
+
+/**
+ * One-line usage of a command, e.g. "jobs show <job> [--json] [options]".
+ */
+function commandUsage(name) {
+  const command = COMMANDS[name];
+  return [name, ...command.args.map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`)), ...(command.flags.length > 0 ? ['[options]'] : [])].join(' ');
+}
+
+function describeFlag(flag, definition) {
+  if (definition.boolean) {
+    return flag;
+  }
+  return definition.optionalValue ? `${flag} [${definition.valueName}]` : `${flag} <${definition.valueName || 'value'}>`;
+}
+
+/**
+ * Help for one command, generated from its definition: usage, arguments and every flag it accepts.
+ *
+ * @param {string} name - The command, e.g. "export" or "jobs show".
+ * @returns {string} The help text
+ */
+function commandHelp(name) {
+  const command = COMMANDS[name];
+  const rows = [
+    ...command.args.map(arg => [`<${arg.name}>`, arg.description]),
+    ...Object.entries(Object.assign({}, ...command.flags)).map(([flag, definition]) => [describeFlag(flag, definition), definition.description])
+  ];
+  const width = Math.max(0, ...rows.map(([label]) => label.length)) + 2;
+  const lines = [`Usage: node index.js ${commandUsage(name)}`, '', command.summary];
+  if (rows.length > 0) {
+    lines.push('', ...rows.map(([label, description]) => `  ${label.padEnd(width)}${description}`));
+  }
+  (command.exclusive || []).forEach(group => lines.push('', `Use only one of ${group.join(', ')}`));
+  return lines.join('\n');
+}
+
+/**
+ * Lists the commands for error messages, e.g. "export, download, ..., jobs list, jobs show <job>".
+ */
+function listCommands(prefix = '') {
+  return Object.keys(COMMANDS).filter(name => name.startsWith(prefix)).map(name => commandUsage(name).replace(' [options]', '')).join(', ');
+}
+
+/**
+ * Finds the command selected by the arguments.
+ *
+ * @param {string[]} args - CLI arguments.
+ * @returns {{name: string, rest: string[]}} The command and the arguments after it
+ * @throws {Error} If the arguments start with an unknown command
+ */
+function resolveCommand(args) {
+  const [first, second] = args;
+  if (first === undefined || first.startsWith('-')) {
+    return { name: DEFAULT_COMMAND, rest: args };
+  }
+  if (second !== undefined && COMMANDS[`${first} ${second}`]) {
+    return { name: `${first} ${second}`, rest: args.slice(2) };
+  }
+  if (COMMANDS[first]) {
+    return { name: first, rest: args.slice(1) };
+  }
+  if (Object.keys(COMMANDS).some(name => name.startsWith(`${first} `))) {
+    throw new Error(`${second ? `Unknown ${first} command: ${second}` : `${first} needs a command`}. Use ${listCommands(`${first} `)}`);
+  }
+  throw new Error(`Unknown command: ${first}. Use ${listCommands()}, or --help for usage`);
+}
+
+/**
+ * Parses the command-line arguments against the command definitions (see COMMANDS).
+ * Flags may be given in any order; errors name the command and its usage.
+ *
+ * @param {string[]} args - CLI arguments.
+ * @returns {{command: string, args: Object<string, string>, options: Object}} The command, its positional
+ *   arguments by name, and the options set by the flags
+ * @throws {Error} If a command, flag or argument is unknown, missing or cannot be combined
+ */
+function parseCommandLine(args) {
+  const { name, rest } = resolveCommand(args);
+  const command = COMMANDS[name];
+  const flags = Object.assign({}, ...command.flags);
+  const usage = `Usage: ${commandUsage(name)}`;
+  const options = { formats: [], where: [] };
+  const positional = [];
+  const given = new Set();
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const definition = flags[flag];
+    if (!definition) {
+      throw new Error(ALL_FLAGS[flag] ? `${flag} cannot be used with ${name}. ${usage}` : `Unknown option for ${name}: ${flag}. ${usage}`);
+    }
+    given.add(flag);
+
+    if (definition.boolean) {
+      if (inlineValue !== undefined) {
+        throw new Error(`${flag} does not take a value`);
+      }
+      definition.apply(options);
+      continue;
+    }
+    if (definition.optionalValue && inlineValue === undefined && (rest[i + 1] === undefined || rest[i + 1].startsWith('--'))) {
+      definition.apply(options);
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : rest[++i];
+    if (!value || value.startsWith('--')) {
+      throw new Error(`${flag} requires a value: ${describeFlag(flag, definition)}`);
+    }
+    if (definition.validate) {
+      try {
+        definition.validate(value);
+      } catch (error) {
+        throw new Error(`${flag}: ${error.message}`);
+      }
     }
+    definition.apply(options, value);
+  }
+
+  const missing = command.args.find((arg, index) => arg.required && positional[index] === undefined);
+  if (missing) {
+    throw new Error(`${name} needs <${missing.name}> (${missing.description}). ${usage}`);
+  }
+  if (positional.length > command.args.length) {
+    throw new Error(`Unexpected argument for ${name}: ${positional[command.args.length]}. ${usage}`);
+  }
+  for (const flag of given) {
+    const { requires } = flags[flag];
+    if (requires && !given.has(requires)) {
+      throw new Error(`${flag} needs ${requires}`);
+    }
+  }
+  for (const group of command.exclusive || []) {
+    const used = group.filter(flag => given.has(flag));
+    if (used.length > 1) {
+      throw new Error(`${used.join(' and ')} cannot be used together`);
+    }
+  }
+  if (command.check) {
+    command.check(options);
   }
 
-  return { jobIdentifier, userStart, userEnd };
+  return {
+    command: name,
+    args: Object.fromEntries(command.args.map((arg, index) => [arg.name, positional[index]])),
+    options
+  };
 }
 
-module.exports = { parseArguments };
\ No newline at end of file
+module.exports = {
+  COMMANDS,
+  DEFAULT_COMMAND,
+  resolveCommand,
+  parseCommandLine,
+  commandUsage,
+  commandHelp
+};
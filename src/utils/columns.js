@@ -0,0 +1,90 @@
+const { getResource } = require('../config/resources');
+
+// Fields of a Messages record, the default resource (see config/resources.js for the other resources)
+const MESSAGE_FIELDS = getResource().fields;
+
+// Helper field added by the file processor with the date of the day file a record came from
+const FILE_DATE_FIELD = 'fileDate';
+
+/**
+ * Parses a column spec into a list of output columns.
+ * A spec is either a comma-separated string such as "sid,date_sent:Sent,to:Recipient",
+ * or an array whose items are "field", "field:Header" or { field, header } objects.
+ *
+ * @param {string|Array<string|{field: string, header?: string}>} spec - The column spec.
+ * @param {string[]} [knownFields] - Fields that may be selected.
+ * @returns {Array<{field: string, header: string}>} The parsed columns, in order
+ * @throws {Error} If the spec is empty, names an unknown field or repeats a header
+ */
+function parseColumnSpec(spec, knownFields = MESSAGE_FIELDS) {
+  const items = typeof spec === 'string' ? spec.split(',') : spec;
+  if (!Array.isArray(items)) {
+    throw new Error('Column spec must be a comma-separated string or an array');
+  }
+
+  const columns = items
+    .map(item => {
+      if (item && typeof item === 'object') {
+        return { field: String(item.field || '').trim(), header: String(item.header || item.field || '').trim() };
+      }
+      const [field, ...header] = String(item).split(':');
+      return { field: field.trim(), header: (header.join(':') || field).trim() };
+    })
+    .filter(column => column.field !== '');
+
+  if (columns.length === 0) {
+    throw new Error('Column spec does not contain any columns');
+  }
+
+  const allowed = new Set([...knownFields, FILE_DATE_FIELD]);
+  const unknown = columns.filter(column => !allowed.has(column.field)).map(column => column.field);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column(s) in column spec: ${unknown.join(', ')}. Known fields: ${[...allowed].join(', ')}`);
+  }
+
+  const headers = new Set();
+  columns.forEach(column => {
+    if (headers.has(column.header)) {
+      throw new Error(`Duplicate column header in column spec: ${column.header}`);
+    }
+    headers.add(column.header);
+  });
+
+  return columns;
+}
+
+/**
+ * Builds the default output columns from the fields found in the data:
+ * known fields in Twilio's order, then any other fields in first-seen order,
+ * then the fileDate helper unless it is excluded.
+ *
+ * @param {Iterable<string>} seenFields - Field names found in the records.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeFileDate=true] - Whether to add the fileDate column.
+ * @param {string[]} [options.knownFields] - Known fields, in output order.
+ * @returns {{columns: Array<{field: string, header: string}>, extraFields: string[]}}
+ *   The columns and the fields that are not known Twilio fields
+ */
+function defaultColumns(seenFields, { includeFileDate = true, knownFields = MESSAGE_FIELDS } = {}) {
+  const seen = new Set(seenFields);
+  seen.delete(FILE_DATE_FIELD);
+
+  const known = knownFields.filter(field => seen.has(field));
+  const extraFields = [...seen].filter(field => !knownFields.includes(field));
+  const fields = [...known, ...extraFields];
+  if (includeFileDate) {
+    fields.push(FILE_DATE_FIELD);
+  }
+
+  return {
+    columns: fields.map(field => ({ field, header: field })),
+    extraFields
+  };
+}
+
+module.exports = {
+  MESSAGE_FIELDS,
+  FILE_DATE_FIELD,
+  parseColumnSpec,
+  defaultColumns
+};
@@ -1,28 +1,131 @@
 const moment = require('moment');
 
+// Presets count back from a calendar date (YYYY-MM-DD) in UTC, like generateDaysBetweenDates; periods.js
+// passes the day after the last complete day in the --tz time zone, and the default is today in UTC
+const todayUtc = () => moment.utc().format('YYYY-MM-DD');
+
 /**
  * Gets the start and end dates for the previous week (Monday to Sunday)
+ * @param {string} [today] - Today's date in YYYY-MM-DD format; defaults to today in UTC
  * @returns {{monday: string, sunday: string}} Dates in YYYY-MM-DD format
  */
-function getPreviousWeekDates() {
-  const monday = moment().subtract(1, 'weeks').startOf('isoWeek');
+function getPreviousWeekDates(today = todayUtc()) {
+  const monday = moment.utc(today).subtract(1, 'weeks').startOf('isoWeek');
   const sunday = moment(monday).endOf('isoWeek');
   return {
-      monday: monday.format('YYYY-MM-DD'),
-      sunday: sunday.format('YYYY-MM-DD')
+    monday: monday.format('YYYY-MM-DD'),
+    sunday: sunday.format('YYYY-MM-DD')
   };
 }
 
 
 /**
 * Gets the start and end dates for the previous month
+* @param {string} [today] - Today's date in YYYY-MM-DD format; defaults to today in UTC
 * @returns {{start: string, end: string}} Dates in YYYY-MM-DD format
 */
-function getPreviousMonthDates() {
-  const lastMonth = moment().subtract(1, 'month');
+function getPreviousMonthDates(today = todayUtc()) {
+  const lastMonth = moment.utc(today).subtract(1, 'month');
+  return {
+    start: lastMonth.startOf('month').format('YYYY-MM-DD'),
+    end: lastMonth.endOf('month').format('YYYY-MM-DD')
+  };
+}
+
+
+/**
+ * Gets yesterday's date
+ * @param {string} [today] - Today's date in YYYY-MM-DD format; defaults to today in UTC
+ * @returns {{start: string, end: string}} Dates in YYYY-MM-DD format
+ */
+function getYesterdayDates(today = todayUtc()) {
+  const yesterday = moment.utc(today).subtract(1, 'day').format('YYYY-MM-DD');
+  return { start: yesterday, end: yesterday };
+}
+
+
+/**
+ * Gets the start and end dates of the last `days` complete days, up to and including yesterday
+ * @param {number} days - Number of days, e.g. 14
+ * @param {string} [today] - Today's date in YYYY-MM-DD format; defaults to today in UTC
+ * @returns {{start: string, end: string}} Dates in YYYY-MM-DD format
+ */
+function getLastDaysDates(days, today = todayUtc()) {
+  const end = moment.utc(today).subtract(1, 'day');
+  return {
+    start: moment(end).subtract(days - 1, 'days').format('YYYY-MM-DD'),
+    end: end.format('YYYY-MM-DD')
+  };
+}
+
+
+/**
+ * Gets the start and end dates of the year to date: from January 1 up to and including yesterday.
+ * On January 1 this is the whole previous year.
+ * @param {string} [today] - Today's date in YYYY-MM-DD format; defaults to today in UTC
+ * @returns {{start: string, end: string}} Dates in YYYY-MM-DD format
+ */
+function getYearToDateDates(today = todayUtc()) {
+  const end = moment.utc(today).subtract(1, 'day');
+  return {
+    start: moment(end).startOf('year').format('YYYY-MM-DD'),
+    end: end.format('YYYY-MM-DD')
+  };
+}
+
+
+/**
+ * Gets the start and end dates of an ISO week (Monday to Sunday), e.g. 2025-W14
+ * @param {string} isoWeek - The week in YYYY-Www format
+ * @returns {{monday: string, sunday: string}} Dates in YYYY-MM-DD format
+ * @throws {Error} If the week is not in YYYY-Www format or the year has no such week
+ */
+function getIsoWeekDates(isoWeek) {
+  const match = /^(\d{4})-W(\d{2})$/.exec(isoWeek || '');
+  const monday = match && moment.utc(isoWeek, 'GGGG-[W]WW', true);
+  if (!monday || !monday.isValid() || monday.isoWeekYear() !== Number(match[1]) || monday.isoWeek() !== Number(match[2])) {
+    throw new Error(`Invalid week: ${isoWeek}. Use YYYY-Www, e.g. 2025-W14`);
+  }
   return {
-      start: lastMonth.startOf('month').format('YYYY-MM-DD'),
-      end: lastMonth.endOf('month').format('YYYY-MM-DD')
+    monday: monday.format('YYYY-MM-DD'),
+    sunday: moment(monday).endOf('isoWeek').format('YYYY-MM-DD')
+  };
+}
+
+
+/**
+ * Gets the start and end dates of a month, e.g. 2025-03
+ * @param {string} month - The month in YYYY-MM format
+ * @returns {{start: string, end: string}} Dates in YYYY-MM-DD format
+ * @throws {Error} If the month is not in YYYY-MM format
+ */
+function getMonthDates(month) {
+  const start = moment.utc(month, 'YYYY-MM', true);
+  if (!start.isValid()) {
+    throw new Error(`Invalid month: ${month}. Use YYYY-MM, e.g. 2025-03`);
+  }
+  return {
+    start: start.format('YYYY-MM-DD'),
+    end: moment(start).endOf('month').format('YYYY-MM-DD')
+  };
+}
+
+
+/**
+ * Gets the start and end dates of a quarter, e.g. 2025-Q1
+ * @param {string} quarter - The quarter in YYYY-Qn format
+ * @returns {{start: string, end: string}} Dates in YYYY-MM-DD format
+ * @throws {Error} If the quarter is not in YYYY-Qn format with n from 1 to 4
+ */
+function getQuarterDates(quarter) {
+  const match = /^(\d{4})-Q([1-4])$/i.exec(quarter || '');
+  if (!match) {
+    throw new Error(`Invalid quarter: ${quarter}. Use YYYY-Qn, e.g. 2025-Q1`);
+  }
+  const start = moment.utc(match[1], 'YYYY').quarter(Number(match[2])).startOf('quarter');
+  return {
+    start: start.format('YYYY-MM-DD'),
+    end: moment(start).endOf('quarter').format('YYYY-MM-DD')
   };
 }
 
@@ -35,23 +138,70 @@ function getPreviousMonthDates() {
  * @returns {string[]} An array of date strings.
  */
 function generateDaysBetweenDates(startDay, endDay) {
-  let days = [];
-  let current = new Date(`${startDay}T12:00:00`);
-  const final = new Date(`${endDay}T12:00:00`);
-  final.setDate(final.getDate() + 1);
-
-  while (current < final) {
-    const year = current.getFullYear();
-    const month = String(current.getMonth() + 1).padStart(2, '0');
-    const day = String(current.getDate()).padStart(2, '0');
-    days.push(`${year}-${month}-${day}`);
-    current.setDate(current.getDate() + 1);
+  const days = [];
+  // Calendar days, counted in UTC so the machine's time zone and DST changes play no part
+  const final = moment.utc(endDay);
+  for (let current = moment.utc(startDay); !current.isAfter(final); current.add(1, 'day')) {
+    days.push(current.format('YYYY-MM-DD'));
   }
   return days;
 }
 
+/**
+ * Splits a date range into consecutive chunks of at most `maxDays` days.
+ *
+ * @param {string} startDay - Start date in YYYY-MM-DD format.
+ * @param {string} endDay - End date in YYYY-MM-DD format.
+ * @param {number} maxDays - Maximum number of days per chunk.
+ * @returns {Array<{startDate: string, endDate: string}>} The chunks, oldest first
+ * @throws {Error} If the end date is before the start date
+ */
+function splitDateRange(startDay, endDay, maxDays) {
+  const end = moment.utc(endDay);
+  let current = moment.utc(startDay);
+  if (end.isBefore(current)) {
+    throw new Error('End date must be on or after start date');
+  }
+
+  const chunks = [];
+  while (!current.isAfter(end)) {
+    const chunkEnd = moment.min(moment.utc(current).add(maxDays - 1, 'days'), end);
+    chunks.push({ startDate: current.format('YYYY-MM-DD'), endDate: chunkEnd.format('YYYY-MM-DD') });
+    current = moment.utc(chunkEnd).add(1, 'day');
+  }
+  return chunks;
+}
+
+/**
+ * Groups days into ranges of consecutive days, e.g. 04-01, 04-02 and 04-05 become
+ * 04-01 to 04-02 and 04-05 to 04-05.
+ *
+ * @param {string[]} days - Days in YYYY-MM-DD format, in any order.
+ * @returns {Array<{startDate: string, endDate: string}>} The ranges, oldest first
+ */
+function groupConsecutiveDays(days) {
+  const ranges = [];
+  [...new Set(days)].sort().forEach(day => {
+    const last = ranges[ranges.length - 1];
+    if (last && moment.utc(last.endDate).add(1, 'day').format('YYYY-MM-DD') === day) {
+      last.endDate = day;
+    } else {
+      ranges.push({ startDate: day, endDate: day });
+    }
+  });
+  return ranges;
+}
+
 module.exports = {
   getPreviousWeekDates,
   getPreviousMonthDates,
-  generateDaysBetweenDates
+  getYesterdayDates,
+  getLastDaysDates,
+  getYearToDateDates,
+  getIsoWeekDates,
+  getMonthDates,
+  getQuarterDates,
+  generateDaysBetweenDates,
+  splitDateRange,
+  groupConsecutiveDays
 };
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Exit codes of the command line, so scripts and schedulers can tell failures apart.
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  // Any failure not listed below
+  FAILURE: 1,
+  // Unknown command or flag, missing argument, invalid option, or a job identifier that matches several jobs
+  USAGE: 2,
+  // Twilio rejected the credentials
+  AUTH: 3,
+  // The job, job folder or pending run does not exist
+  NOT_FOUND: 4,
+  // An export job did not complete in time
+  TIMEOUT: 5,
+  // The run finished, but days are missing: Twilio failed to export them or they could not be downloaded or read
+  PARTIAL_DATA: 6
+};
+
+// Checked in order against the error message; the first match wins
+const ERROR_KINDS = [
+  { exitCode: EXIT_CODES.AUTH, pattern: /authenticat|unauthori[sz]ed/i },
+  { exitCode: EXIT_CODES.PARTIAL_DATA, pattern: /could not be downloaded|were not exported|could not be read/i },
+  { exitCode: EXIT_CODES.TIMEOUT, pattern: /didn't complete within/i },
+  // Listed before NOT_FOUND, as the matching jobs are listed in the message
+  { exitCode: EXIT_CODES.USAGE, pattern: /matches \d+ \w+ export jobs/i },
+  { exitCode: EXIT_CODES.NOT_FOUND, pattern: /not found/i }
+];
+
+/**
+ * Picks the exit code for an error message.
+ *
+ * @param {string} message - The error message.
+ * @returns {number} One of EXIT_CODES; FAILURE when the message matches no known kind
+ */
+function exitCodeForError(message) {
+  const kind = ERROR_KINDS.find(({ pattern }) => pattern.test(message || ''));
+  return kind ? kind.exitCode : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Picks the exit code for the result of a command. A successful run with failed days is partial.
+ *
+ * @param {{success: boolean, error?: string, failedDays?: string[]}} result - The command's result.
+ * @returns {number} One of EXIT_CODES
+ */
+function exitCodeForResult(result) {
+  if (!result.success) {
+    return exitCodeForError(result.error);
+  }
+  return Array.isArray(result.failedDays) && result.failedDays.length > 0 ? EXIT_CODES.PARTIAL_DATA : EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  EXIT_CODES,
+  exitCodeForError,
+  exitCodeForResult
+};
@@ -0,0 +1,309 @@
+const { FILE_DATE_FIELD } = require('./columns');
+const { getResource } = require('../config/resources');
+
+/**
+ * Record filter expressions for --where.
+ *
+ * Grammar (keywords are case-insensitive):
+ *   expression := term (OR term)*
+ *   term       := factor (AND factor)*
+ *   factor     := NOT factor | '(' expression ')' | comparison
+ *   comparison := field op value | field [NOT] IN '(' value (',' value)* ')'
+ *   op         := = | != | ^= (starts with) | < | <= | > | >=
+ *
+ * Values are bare words or quoted strings; `null` matches missing or empty values.
+ * Ordering operators compare the resource's date fields as timestamps (UTC unless an offset is given)
+ * and all other fields as numbers.
+ *
+ * Examples:
+ *   status in (failed, undelivered)
+ *   direction ^= outbound and from = +46700000001
+ *   num_segments > 1 or (price < -0.05 and date_sent >= 2025-04-01T08:00:00Z)
+ */
+
+const OPERATORS = ['!=', '<=', '>=', '^=', '=', '<', '>'];
+const KEYWORDS = ['and', 'or', 'not', 'in', 'null'];
+
+/**
+ * Splits an expression into tokens.
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if ('(),'.includes(char)) {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => expression.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = expression.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated string at position ${i + 1} in filter: ${expression}`);
+      }
+      tokens.push({ type: 'string', value: expression.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    let end = i;
+    while (end < expression.length && !/[\s(),=<>!^"']/.test(expression[end])) {
+      end++;
+    }
+    if (end === i) {
+      throw new Error(`Unexpected character "${char}" at position ${i + 1} in filter: ${expression}`);
+    }
+    const word = expression.slice(i, end);
+    const keyword = word.toLowerCase();
+    tokens.push(KEYWORDS.includes(keyword)
+      ? { type: keyword, value: word, position: i }
+      : { type: 'word', value: word, position: i });
+    i = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Returns true if the value counts as missing for `= null`.
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Converts a record or literal value for an ordering comparison, as a timestamp for date fields
+ * and as a number otherwise. Returns NaN when the value cannot be compared.
+ */
+function toComparable(value, isDate) {
+  if (isEmpty(value)) {
+    return NaN;
+  }
+  if (isDate) {
+    // Twilio timestamps are UTC, so read date-times without an offset as UTC too
+    const text = String(value);
+    return Date.parse(/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text) ? `${text}Z` : text);
+  }
+  return Number(value);
+}
+
+/**
+ * Checks equality between a record value and a literal.
+ * Numeric values are compared as numbers so that "-0.0100" equals -0.01.
+ */
+function valuesEqual(recordValue, literal) {
+  if (literal === null) {
+    return isEmpty(recordValue);
+  }
+  if (isEmpty(recordValue)) {
+    return false;
+  }
+  const recordText = typeof recordValue === 'object' ? JSON.stringify(recordValue) : String(recordValue);
+  if (recordText === literal) {
+    return true;
+  }
+  const recordNumber = Number(recordText);
+  const literalNumber = Number(literal);
+  return recordText.trim() !== '' && literal.trim() !== '' &&
+    !isNaN(recordNumber) && !isNaN(literalNumber) && recordNumber === literalNumber;
+}
+
+/**
+ * Builds the predicate for a single comparison; `isDate` tells whether the field holds timestamps.
+ */
+function compileComparison(field, operator, literal, isDate) {
+  switch (operator) {
+    case '=':
+      return record => valuesEqual(record[field], literal);
+    case '!=':
+      return record => !valuesEqual(record[field], literal);
+    case '^=':
+      return record => !isEmpty(record[field]) && String(record[field]).startsWith(literal);
+    default: {
+      const target = toComparable(literal, isDate);
+      if (isNaN(target)) {
+        throw new Error(`Filter value "${literal}" for ${field} ${operator} must be a ${isDate ? 'date or date-time' : 'number'}`);
+      }
+      const compare = {
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b
+      }[operator];
+      return record => {
+        const value = toComparable(record[field], isDate);
+        return !isNaN(value) && compare(value, target);
+      };
+    }
+  }
+}
+
+/**
+ * Compiles a filter expression into a predicate over records.
+ *
+ * @param {string} expression - The filter expression.
+ * @param {Object} [resource] - The resource type whose fields may be referenced (see config/resources.js);
+ *   defaults to Messages.
+ * @returns {function(Object): boolean} Returns true for records to keep
+ * @throws {Error} If the expression is invalid or references an unknown field
+ */
+function compileFilter(expression, resource = getResource()) {
+  const tokens = tokenize(expression);
+  const allowed = new Set([...resource.fields, FILE_DATE_FIELD]);
+  const dateFields = new Set([...resource.dateFields, FILE_DATE_FIELD]);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message) => {
+    const token = peek();
+    const where = token ? `at position ${token.position + 1}` : 'at end of expression';
+    throw new Error(`${message} ${where} in filter: ${expression}`);
+  };
+  const expect = (type) => {
+    const token = peek();
+    if (!token || token.type !== type) {
+      fail(`Expected "${type}"`);
+    }
+    index++;
+    return token;
+  };
+
+  function parseValue() {
+    const token = peek();
+    if (token && (token.type === 'word' || token.type === 'string')) {
+      index++;
+      return token.value;
+    }
+    if (token && token.type === 'null') {
+      index++;
+      return null;
+    }
+    return fail('Expected a value');
+  }
+
+  function parseComparison() {
+    const fieldToken = peek();
+    if (!fieldToken || fieldToken.type !== 'word') {
+      fail('Expected a field name');
+    }
+    index++;
+    const field = fieldToken.value;
+    if (!allowed.has(field)) {
+      throw new Error(`Unknown field "${field}" in filter. Known fields: ${[...allowed].join(', ')}`);
+    }
+
+    let negate = false;
+    if (peek() && peek().type === 'not') {
+      index++;
+      negate = true;
+      if (!peek() || peek().type !== 'in') {
+        fail('Expected "in" after "not"');
+      }
+    }
+
+    if (peek() && peek().type === 'in') {
+      index++;
+      expect('(');
+      const literals = [parseValue()];
+      while (peek() && peek().type === ',') {
+        index++;
+        literals.push(parseValue());
+      }
+      expect(')');
+      const matches = record => literals.some(literal => valuesEqual(record[field], literal));
+      return negate ? record => !matches(record) : matches;
+    }
+
+    const operatorToken = peek();
+    if (!operatorToken || operatorToken.type !== 'op') {
+      fail(`Expected an operator after "${field}"`);
+    }
+    index++;
+    const literal = parseValue();
+    if (literal === null && !['=', '!='].includes(operatorToken.value)) {
+      throw new Error(`null can only be used with = and != in filter: ${expression}`);
+    }
+    return compileComparison(field, operatorToken.value, literal, dateFields.has(field));
+  }
+
+  function parseFactor() {
+    const token = peek();
+    if (token && token.type === 'not') {
+      index++;
+      const inner = parseFactor();
+      return record => !inner(record);
+    }
+    if (token && token.type === '(') {
+      index++;
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+    return parseComparison();
+  }
+
+  function parseTerm() {
+    const factors = [parseFactor()];
+    while (peek() && peek().type === 'and') {
+      index++;
+      factors.push(parseFactor());
+    }
+    return factors.length === 1 ? factors[0] : record => factors.every(factor => factor(record));
+  }
+
+  function parseExpression() {
+    const terms = [parseTerm()];
+    while (peek() && peek().type === 'or') {
+      index++;
+      terms.push(parseTerm());
+    }
+    return terms.length === 1 ? terms[0] : record => terms.some(term => term(record));
+  }
+
+  if (tokens.length === 0) {
+    throw new Error('Filter expression is empty');
+  }
+
+  const predicate = parseExpression();
+  if (index < tokens.length) {
+    fail('Unexpected input');
+  }
+  return predicate;
+}
+
+/**
+ * Compiles one or more filter expressions into a single predicate; all of them must match.
+ *
+ * @param {string|string[]} expressions - Filter expressions.
+ * @param {Object} [resource] - The resource type whose fields may be referenced.
+ * @returns {function(Object): boolean|null} The predicate, or null when there is nothing to filter
+ */
+function compileFilters(expressions, resource) {
+  const list = (Array.isArray(expressions) ? expressions : [expressions]).filter(Boolean);
+  if (list.length === 0) {
+    return null;
+  }
+  const predicates = list.map(expression => compileFilter(expression, resource));
+  return record => predicates.every(predicate => predicate(record));
+}
+
+module.exports = {
+  compileFilter,
+  compileFilters
+};
@@ -1,13 +1,91 @@
 const helpText = `
 Twilio Logs Download Automation
 ------------------------------
-A tool for downloading and processing Twilio message logs
+A tool for downloading and processing Twilio message and call logs
 
 USAGE
-  npm run download:last-week              # Download previous week's logs
-  npm run download:last-month             # Download previous month's logs
-  npm run download:job <jobId>            # Download specific job
-  npm run download:custom <start> <end>   # Download custom date range
+  node index.js <command> [options]       # Flags may be given in any order
+  node index.js <command> --help          # Arguments and flags of a command
+
+COMMANDS
+  export [<preset>|--from <start> --to <end> [--name <name>]]
+                                          # Export a period (the default command)
+  download <job> [--from <start> --to <end>]
+                                          # Download an existing job by SID or name
+  process <folder>                        # Process a downloaded job folder again
+  sync [--since <start>]                  # Export new days since the last sync
+  jobs list [--json]                      # List export jobs
+  jobs show|status|delete <job> [--json]  # Inspect or delete a job
+  resume                                  # Download runs started with --detach
+
+NPM SCRIPTS
+  npm run download:last-week              # export --week
+  npm run download:last-month             # export --month
+  npm run download:yesterday              # export --yesterday
+  npm run download:job -- <job>           # download <job>
+  npm run download:custom -- --from <start> --to <end>
+  npm run process -- <folder>
+  npm run sync | jobs | resume
+
+DATE PRESETS (export)
+  --yesterday       Yesterday (the last complete UTC day; with --tz, the last
+                    local day whose UTC export days are complete)
+  --last-days <n>   The last n days up to yesterday, 1-366
+  --week [YYYY-Www] An ISO week; the previous week without a value (default)
+  --month [YYYY-MM] A month; the previous month without a value
+  --quarter <YYYY-Qn>
+                    A quarter, e.g. 2025-Q1
+  --ytd             January 1 up to yesterday
+
+OPTIONS
+  --resource <type> Records to export (default: Messages)
+                    Messages, Calls, Conferences or Participants
+  --format <name>   Output format, repeatable (default: csv)
+                    csv      CSV in the selected dialect
+                    rfc4180  Standard comma-separated CSV
+                    tsv      Tab-separated values
+                    ndjson   Newline-delimited JSON
+                    xlsx     Excel workbook with typed cells
+  --dialect <name>  CSV dialect for the csv format (default: excel-eu)
+                    excel-eu, excel-us, rfc4180, raw, tsv
+  --config <path>   JSON options file (default: export.config.json if present)
+  --columns <spec>  Columns to export, in order, with optional header names
+                    e.g. "sid,date_sent:Sent,to:Recipient,status"
+  --no-file-date    Leave out the fileDate helper column
+  --tz <zone>       Time zone of the export's dates, e.g. Europe/Stockholm (default: UTC);
+                    covered with the UTC export days the period touches
+  --local-times     Add <column>_local columns with the timestamps in the --tz zone
+  --dedupe          Drop records with an ID (e.g. sid) that was already exported
+                    (on by default when a range over 366 days is split into jobs)
+  --where <expr>    Keep only matching records, repeatable (all must match)
+                    operators: = != ^= < <= > >= in (...), combined with and/or/not
+  --split <mode>    Split the output into parts listed in export_index.json:
+                    day, month, field:<name> (e.g. field:from) or rows:<n>
+  --no-summary      Do not write summary.json and summary.csv
+  --cost-report     Write cost_report.json and cost_report.csv
+  --expected-total <[CUR:]amount>
+                    Compare total spend with a billed amount (implies --cost-report)
+  --concurrency <n> Maximum simultaneous day downloads, 1-32 (default: 8)
+  --follow-ups <n>  Rounds of follow-up jobs for days Twilio fails to export, 0-5 (default: 2)
+  --detach          Create or reuse the export jobs, record them and exit;
+                    download them later with npm run resume
+  --dry-run         Show which jobs an export would reuse, wait for or create, the
+                    number of days and the job folder; creates and writes nothing
+  --webhook-url <url>
+                    Public URL (e.g. a tunnel) Twilio calls when a new job completes;
+                    polls instead if no callback arrives in time
+  --webhook-port <n>
+                    Local port of the callback listener (default: 8787)
+  --webhook-wait <minutes>
+                    Minutes to wait for a callback before polling (default: 30)
+  --sqlite <path>   Also load the records into a SQLite database (upserted on the ID)
+  --privacy <name>  Redact personal data with a privacy profile: analyst, or none
+                    (per-column drop/mask/hash/truncate policies go in the options file)
+
+EXIT CODES
+  0 success, 1 other failure, 2 usage error or ambiguous job name, 3 authentication failed,
+  4 job, folder or pending job not found, 5 job did not complete in time,
+  6 partial data (days Twilio failed to export, or could not download or read)
 
 EXAMPLES
   # You can display available commands and usage examples at any time by running:
@@ -23,11 +101,67 @@ EXAMPLES
   npm run download:job -- "JS123abc"
   npm run download:job -- "My_Custom_Job"
 
+  # Download a specific month or quarter, or the last 14 days
+  npm run export -- --month 2025-03
+  npm run export -- --quarter 2025-Q1
+  npm run export -- --last-days 14
+
   # Download custom date range
-  npm run download:custom -- 2025-04-01 2025-04-07
+  npm run download:custom -- --from 2025-04-01 --to 2025-04-07
 
   # Download with custom name
-  npm run download:custom -- --name quarterly_report 2025-04-01 2025-06-30
+  npm run download:custom -- --name quarterly_report --from 2025-04-01 --to 2025-06-30
+
+  # Write a downloaded job again as Excel
+  npm run process -- Job_Week_2025_04_07 --format xlsx
+
+  # Incremental sync from cron; the first run needs a start date
+  npm run sync -- --since 2025-01-01
+  npm run sync -- --state /data/sync_state.json --dataset /data/messages
+
+  # Last month's call records, with call durations as [h]:mm:ss in Excel
+  npm run download:last-month -- --resource Calls --format xlsx
+
+  # Start a long export from CI and collect it in a later run
+  npm run download:custom -- --name q1 --from 2025-01-01 --to 2025-03-31 --detach
+  npm run resume
+
+  # Last week in Stockholm time, with local send and creation times
+  npm run export -- --tz Europe/Stockholm --local-times
+
+  # See what a year-long export would do before starting it
+  npm run download:custom -- --name audit --from 2024-01-01 --to 2024-12-31 --dry-run
+
+  # Check on a job and delete it once downloaded
+  npm run jobs -- status Job_Week_2025_04_07
+  npm run jobs -- delete JS123abc
+
+  # Write an Excel workbook and NDJSON in the same run
+  npm run download:last-month -- --format xlsx --format ndjson
+
+  # Comma-separated CSV for Python or Postgres
+  npm run download:last-week -- --dialect raw
+
+  # Only failed or undelivered messages from one sender
+  npm run download:last-week -- --where "status in (failed, undelivered) and from = +46700000001"
+
+  # One file per sending number
+  npm run download:last-month -- --split field:from
+
+  # Reconcile last month's spend with the invoice
+  npm run download:last-month -- --expected-total USD:1234.56
+
+  # Continue as soon as Twilio reports the job complete, through a tunnel to port 8787
+  npm run download:last-month -- --webhook-url https://example.ngrok.app
+
+  # Keep a local, queryable history of all messages
+  npm run download:last-month -- --sqlite data/messages.sqlite
+
+  # Share with analysts: masked recipients, no message bodies
+  npm run download:last-month -- --privacy analyst
+
+  # Fixed columns with custom headers
+  npm run download:last-week -- --columns "sid,date_sent:Sent,from:Sender,to:Recipient,status"
 `;
 
 module.exports = { helpText };
\ No newline at end of file
@@ -76,9 +76,10 @@ const logger = winston.createLogger({
       format: fileFormat,
       options: { flags: 'a' } // Append mode
     }),
-    // Console output
+    // Console output; with --json the logs go to stderr so stdout only holds the JSON
     new winston.transports.Console({
-      format: consoleFormat
+      format: consoleFormat,
+      stderrLevels: process.argv.includes('--json') ? Object.keys(winston.config.npm.levels) : []
     })
   ],
   // Don't exit on uncaught exceptions
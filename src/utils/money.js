@@ -0,0 +1,65 @@
+/**
+ * Exact handling of Twilio price amounts.
+ * Amounts are kept as integer micro-units (millionths of the currency unit) so that summing
+ * thousands of prices such as "-0.00790" does not accumulate floating point errors.
+ */
+
+const DECIMALS = 6;
+const SCALE = 10 ** DECIMALS;
+
+/**
+ * Parses a price value into integer micro-units.
+ *
+ * @param {string|number|null|undefined} value - The price, e.g. "-0.00790" or -0.0079.
+ * @returns {number|null} The amount in micro-units, or null when the value is missing or not a number
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = typeof value === 'number' ? value.toFixed(DECIMALS + 2) : String(value).trim();
+  const match = text.match(/^([+-])?(\d*)(?:\.(\d*))?$/);
+  if (!match || (match[2] === '' && !match[3])) {
+    return null;
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const padded = (fraction + '0'.repeat(DECIMALS + 1)).slice(0, DECIMALS + 1);
+  // Round half away from zero on the first dropped digit
+  let micros = Number(whole || '0') * SCALE + Number(padded.slice(0, DECIMALS));
+  if (Number(padded[DECIMALS]) >= 5) {
+    micros += 1;
+  }
+  return sign === '-' && micros !== 0 ? -micros : micros;
+}
+
+/**
+ * Formats micro-units as a decimal string with at least two decimals.
+ *
+ * @param {number} micros - The amount in micro-units.
+ * @param {string} [decimalSeparator] - Decimal separator to use.
+ * @returns {string} e.g. "-12.3456"
+ */
+function formatAmount(micros, decimalSeparator = '.') {
+  const sign = micros < 0 ? '-' : '';
+  const absolute = Math.abs(micros);
+  const whole = Math.floor(absolute / SCALE);
+  const fraction = String(absolute % SCALE).padStart(DECIMALS, '0').replace(/0+$/, '').padEnd(2, '0');
+  return `${sign}${whole}${decimalSeparator}${fraction}`;
+}
+
+/**
+ * Converts micro-units to a JavaScript number, for JSON reports.
+ *
+ * @param {number} micros - The amount in micro-units.
+ * @returns {number}
+ */
+function toNumber(micros) {
+  return Number(formatAmount(micros));
+}
+
+module.exports = {
+  parseAmount,
+  formatAmount,
+  toNumber
+};
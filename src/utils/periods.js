@@ -0,0 +1,121 @@
+const moment = require('moment');
+const { MAX_DAYS_PER_JOB } = require('./validation');
+const {
+  getPreviousWeekDates,
+  getPreviousMonthDates,
+  getYesterdayDates,
+  getLastDaysDates,
+  getYearToDateDates,
+  getIsoWeekDates,
+  getMonthDates,
+  getQuarterDates
+} = require('./dateUtils');
+const { lastCompleteDay } = require('./timezone');
+
+const underscored = date => date.replace(/-/g, '_');
+
+/**
+ * Validates the number of days for --last-days.
+ *
+ * @param {number|string} value - The number of days.
+ * @throws {Error} If the value is not a whole number from 1 to MAX_DAYS_PER_JOB
+ */
+function validateLastDays(value) {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS_PER_JOB) {
+    throw new Error(`Invalid number of days: ${value}. Use a whole number from 1 to ${MAX_DAYS_PER_JOB}`);
+  }
+}
+
+/**
+ * The date presets of the export command, keyed by period. `range` resolves the preset's value (if any)
+ * to its first and last day, relative presets counting back from `today` (see resolvePeriod), and
+ * `jobName` gives the job name after the resource's prefix, so running the same period again finds its
+ * job by name as well as by range (e.g. Job_Week_2025_03_31 for both --week in the week after and
+ * --week 2025-W14). No preset spans more than 366 days.
+ */
+const PERIODS = {
+  yesterday: {
+    label: () => 'yesterday',
+    range: (value, today) => getYesterdayDates(today),
+    jobName: ({ start }) => `Day_${underscored(start)}`
+  },
+  'last-days': {
+    label: days => `the last ${days} days`,
+    range: (days, today) => getLastDaysDates(Number(days), today),
+    jobName: ({ start, end }) => `Days_${underscored(start)}_${underscored(end)}`
+  },
+  week: {
+    label: week => (week ? `week ${week}` : 'the previous week'),
+    range: (week, today) => {
+      const { monday, sunday } = week ? getIsoWeekDates(week) : getPreviousWeekDates(today);
+      return { start: monday, end: sunday };
+    },
+    jobName: ({ start }) => `Week_${underscored(start)}`
+  },
+  month: {
+    label: month => (month ? `month ${month}` : 'the previous month'),
+    range: (month, today) => (month ? getMonthDates(month) : getPreviousMonthDates(today)),
+    jobName: ({ start }) => `Month_${moment.utc(start).format('YYYY_MM')}`
+  },
+  quarter: {
+    label: quarter => `quarter ${quarter.toUpperCase()}`,
+    range: quarter => getQuarterDates(quarter),
+    jobName: ({ start }) => `Quarter_${moment.utc(start).format('YYYY_[Q]Q')}`
+  },
+  ytd: {
+    label: () => 'the year to date',
+    range: (value, today) => getYearToDateDates(today),
+    jobName: ({ end }) => `YTD_${underscored(end)}`
+  }
+};
+
+/**
+ * Validates the value of a date preset: its format, and that the week, month or quarter has ended
+ * (in UTC, like Twilio's export days), so it can be exported in full.
+ *
+ * @param {string} period - The preset (see PERIODS), e.g. 'month'.
+ * @param {string} value - The preset's value, e.g. '2025-03'.
+ * @throws {Error} If the value is invalid or the period has not ended yet
+ */
+function validatePeriodValue(period, value) {
+  const preset = PERIODS[period];
+  const { end } = preset.range(value);
+  const lastCompleteDay = moment.utc().subtract(1, 'day').format('YYYY-MM-DD');
+  if (end > lastCompleteDay) {
+    const label = preset.label(value);
+    throw new Error(`${label[0].toUpperCase()}${label.slice(1)} ends on ${end}, after the last complete day (${lastCompleteDay}); use --from/--to for a partial period`);
+  }
+}
+
+/**
+ * Resolves a date preset to its range and job name.
+ *
+ * @param {string} period - The preset (see PERIODS), e.g. 'month'.
+ * @param {string} [value] - The preset's value, e.g. '2025-03' for --month 2025-03; none for the previous week or month.
+ * @param {string} jobPrefix - The resource's job name prefix (see config/resources.js).
+ * @param {string} [timeZone] - The time zone (--tz) of the days; defaults to UTC.
+ * @param {Date} [now] - The current instant, which relative presets count back from.
+ * @returns {{startDate: string, endDate: string, friendlyName: string, label: string}} The range, the job name
+ *   and a description for log messages
+ */
+function resolvePeriod(period, value, jobPrefix, timeZone, now = new Date()) {
+  const preset = PERIODS[period];
+  // Relative presets end on the last local day whose UTC export days are all complete, so they can
+  // always be exported; presets count back from the day after it
+  const today = moment.utc(lastCompleteDay(timeZone, now)).add(1, 'day').format('YYYY-MM-DD');
+  const { start, end } = preset.range(value, today);
+  return {
+    startDate: start,
+    endDate: end,
+    friendlyName: `${jobPrefix}_${preset.jobName({ start, end })}`,
+    label: preset.label(value)
+  };
+}
+
+module.exports = {
+  PERIODS,
+  validateLastDays,
+  validatePeriodValue,
+  resolvePeriod
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { MESSAGE_FIELDS, FILE_DATE_FIELD } = require('./columns');
+const { lookupCountry } = require('./countryCodes');
+
+/**
+ * Privacy policies applied per column before records are written:
+ *   drop      Remove the column from the output
+ *   mask      Keep the country calling code and the last `keepLast` digits (default 2): +46*******67
+ *   hash      Replace the value with a keyed HMAC-SHA256 token, stable across runs for the same key
+ *   truncate  Keep the first `length` characters (default 20)
+ */
+const POLICIES = ['drop', 'mask', 'hash', 'truncate'];
+
+/**
+ * Built-in policy sets that can be selected by name. A profile covers every resource type;
+ * its policies for fields the exported resource does not have are left out.
+ */
+const PROFILES = {
+  analyst: {
+    to: { policy: 'mask', keepLast: 2 },
+    body: { policy: 'drop' },
+    // Calls also carry the destination as a formatted number and the caller's name
+    to_formatted: { policy: 'drop' },
+    caller_name: { policy: 'drop' }
+  }
+};
+
+// Length of the hex token produced by the hash policy
+const HASH_LENGTH = 16;
+
+/**
+ * Masks a phone number, keeping the channel prefix, the calling code and the last digits.
+ * Values that are not E.164 numbers keep only their last characters.
+ */
+function maskValue(value, keepLast) {
+  const text = String(value);
+  const [, channel = '', number] = text.match(/^([a-z]+:)?(.*)$/i);
+  const country = lookupCountry(number);
+  const prefix = country ? country.callingCode : '';
+  const rest = number.slice(prefix.length);
+  const visible = Math.min(keepLast, rest.length);
+  return `${channel}${prefix}${'*'.repeat(rest.length - visible)}${rest.slice(rest.length - visible)}`;
+}
+
+/**
+ * Normalizes a policy given as a name or as an object.
+ */
+function normalizePolicy(field, spec) {
+  const rule = typeof spec === 'string' ? { policy: spec } : { ...spec };
+  if (!POLICIES.includes(rule.policy)) {
+    throw new Error(`Invalid privacy policy for ${field}: ${rule.policy}. Use one of: ${POLICIES.join(', ')}`);
+  }
+  if (rule.policy === 'mask') {
+    rule.keepLast = rule.keepLast ?? 2;
+    if (!Number.isInteger(rule.keepLast) || rule.keepLast < 0) {
+      throw new Error(`Privacy policy mask for ${field} needs a whole number keepLast`);
+    }
+  }
+  if (rule.policy === 'truncate') {
+    rule.length = rule.length ?? 20;
+    if (!Number.isInteger(rule.length) || rule.length < 0) {
+      throw new Error(`Privacy policy truncate for ${field} needs a whole number length`);
+    }
+  }
+  return rule;
+}
+
+/**
+ * Compiles a privacy spec into a record transformation.
+ * The spec is a profile name ("analyst"), "none", or an object mapping field names to policies,
+ * e.g. { "to": { "policy": "mask", "keepLast": 3 }, "from": "hash", "body": { "policy": "truncate", "length": 10 } }.
+ * The hash policy needs a secret key, read from the PRIVACY_HASH_KEY environment variable.
+ *
+ * @param {string|Object} [spec] - The privacy spec.
+ * @param {Object} [settings]
+ * @param {string} [settings.hashKey] - Secret key for the hash policy.
+ * @param {string[]} [settings.knownFields] - Fields that may have a policy.
+ * @returns {{apply: function(Object): Object, droppedFields: Set<string>, fields: string[]}|null}
+ *   The transformation, or null when no policy applies
+ * @throws {Error} If the spec is invalid or the hash key is missing
+ */
+function compilePrivacyPolicy(spec, { hashKey = process.env.PRIVACY_HASH_KEY, knownFields = MESSAGE_FIELDS } = {}) {
+  if (!spec || spec === 'none') {
+    return null;
+  }
+
+  let policies = spec;
+  if (typeof spec === 'string') {
+    if (!PROFILES[spec]) {
+      throw new Error(`Unknown privacy profile: ${spec}. Available profiles: ${Object.keys(PROFILES).join(', ')}, none`);
+    }
+    policies = Object.fromEntries(Object.entries(PROFILES[spec]).filter(([field]) => knownFields.includes(field)));
+  }
+  if (typeof policies !== 'object' || Array.isArray(policies)) {
+    throw new Error('Privacy settings must be a profile name or an object of field policies');
+  }
+
+  const allowed = new Set([...knownFields, FILE_DATE_FIELD]);
+  const rules = Object.entries(policies).map(([field, policy]) => {
+    if (!allowed.has(field)) {
+      throw new Error(`Unknown field "${field}" in privacy settings. Known fields: ${[...allowed].join(', ')}`);
+    }
+    return [field, normalizePolicy(field, policy)];
+  });
+
+  if (rules.length === 0) {
+    return null;
+  }
+  if (rules.some(([, rule]) => rule.policy === 'hash') && !hashKey) {
+    throw new Error('The hash privacy policy requires a secret key. Set PRIVACY_HASH_KEY in your .env file.');
+  }
+
+  const droppedFields = new Set(rules.filter(([, rule]) => rule.policy === 'drop').map(([field]) => field));
+
+  function transform(value, rule) {
+    if (value === undefined || value === null || value === '') {
+      return value;
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    switch (rule.policy) {
+      case 'mask':
+        return maskValue(text, rule.keepLast);
+      case 'hash':
+        return crypto.createHmac('sha256', hashKey).update(text).digest('hex').slice(0, HASH_LENGTH);
+      case 'truncate':
+        return text.slice(0, rule.length);
+      default:
+        return value;
+    }
+  }
+
+  return {
+    fields: rules.map(([field]) => field),
+    droppedFields,
+
+    apply(record) {
+      const result = { ...record };
+      for (const [field, rule] of rules) {
+        if (rule.policy === 'drop') {
+          delete result[field];
+        } else if (field in result) {
+          result[field] = transform(result[field], rule);
+        }
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  POLICIES,
+  PROFILES,
+  compilePrivacyPolicy
+};
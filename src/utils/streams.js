@@ -0,0 +1,67 @@
+const fs = require('fs');
+const { once } = require('events');
+
+/**
+ * Writes a chunk to a stream, waiting for the 'drain' event when the stream's buffer is full.
+ *
+ * @param {import('stream').Writable} stream - The stream to write to.
+ * @param {string|Buffer} chunk - The data to write.
+ * @returns {Promise<void>}
+ */
+async function writeWithBackpressure(stream, chunk) {
+  if (stream.errored) {
+    throw stream.errored;
+  }
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+/**
+ * Opens a file write stream that remembers its first error, so it can be
+ * reported from the next write or from endStream instead of crashing the process.
+ *
+ * @param {string} filePath - The file to write.
+ * @param {Object} [options]
+ * @param {boolean} [options.append] - Append to the file instead of replacing it.
+ * @returns {fs.WriteStream}
+ */
+function createFileStream(filePath, { append = false } = {}) {
+  const stream = fs.createWriteStream(filePath, { flags: append ? 'a' : 'w' });
+  // Errors are re-thrown by writeWithBackpressure/endStream through stream.errored
+  stream.on('error', () => {});
+  return stream;
+}
+
+/**
+ * Ends a writable stream and waits until all data has been flushed.
+ *
+ * @param {import('stream').Writable} stream - The stream to end.
+ * @returns {Promise<void>}
+ * @throws {Error} If the stream failed at any point
+ */
+async function endStream(stream) {
+  if (stream.errored) {
+    throw stream.errored;
+  }
+  stream.end();
+  await once(stream, 'finish');
+}
+
+/**
+ * Destroys a file stream after a failure and removes the incomplete file,
+ * so an aborted output is never mistaken for a complete one.
+ *
+ * @param {fs.WriteStream} stream - The stream to discard.
+ */
+function discardFileStream(stream) {
+  stream.once('close', () => fs.rm(stream.path, { force: true }, () => {}));
+  stream.destroy();
+}
+
+module.exports = {
+  writeWithBackpressure,
+  createFileStream,
+  endStream,
+  discardFileStream
+};
@@ -0,0 +1,21 @@
+/**
+ * Formats rows as a plain-text table with aligned columns, for command output.
+ *
+ * @param {string[]} headers - Column headers.
+ * @param {Array<Array<*>>} rows - Rows, one value per column; null and undefined print as "-".
+ * @returns {string} The table, one line per row below the header and a separator line
+ */
+function formatTable(headers, rows) {
+  const cells = rows.map(row => row.map(value => (value === null || value === undefined ? '-' : String(value))));
+  const widths = headers.map((header, index) =>
+    Math.max(header.length, ...cells.map(row => row[index].length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [
+    line(headers),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+module.exports = { formatTable };
@@ -0,0 +1,151 @@
+const moment = require('moment');
+
+// Twilio's export days are UTC days, so periods are UTC days unless --tz says otherwise
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Intl formatters are slow to create, and local times are formatted for every record
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Validates a time zone name.
+ *
+ * @param {string} [timeZone] - An IANA time zone, e.g. Europe/Stockholm.
+ * @throws {Error} If the time zone is set but unknown
+ */
+function validateTimeZone(timeZone) {
+  if (timeZone === undefined || timeZone === null) {
+    return;
+  }
+  try {
+    formatterFor(timeZone);
+  } catch (error) {
+    throw new Error(`Unknown time zone: ${timeZone}. Use an IANA name such as Europe/Stockholm or America/New_York`);
+  }
+}
+
+/**
+ * The wall-clock date and time of an instant in a time zone.
+ *
+ * @returns {{date: string, time: string}} The date as YYYY-MM-DD and the time as HH:mm:ss
+ */
+function wallClock(instant, timeZone) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(instant).forEach(({ type, value }) => { parts[type] = value; });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds (e.g. +2 hours in Stockholm in summer).
+ */
+function offsetAt(instant, timeZone) {
+  const { date, time } = wallClock(instant, timeZone);
+  const wallAsUtc = Date.parse(`${date}T${time}Z`);
+  return wallAsUtc - (instant.getTime() - instant.getMilliseconds());
+}
+
+/**
+ * The instant a day starts in a time zone, i.e. local midnight.
+ *
+ * @param {string} day - The local day, YYYY-MM-DD.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {Date} The instant
+ */
+function startOfLocalDay(day, timeZone) {
+  const midnightUtc = Date.parse(`${day}T00:00:00Z`);
+  const guess = new Date(midnightUtc - offsetAt(new Date(midnightUtc), timeZone));
+  // The offset at the guess differs from the one at UTC midnight when a DST change lies between them
+  return new Date(midnightUtc - offsetAt(guess, timeZone));
+}
+
+/**
+ * The last local day in a time zone that can be exported in full: the last day whose UTC export days
+ * are all complete. In UTC that is yesterday. East of UTC it is yesterday in UTC too, as that local day
+ * ends before UTC midnight; west of UTC it is the day before, as that local day ends after UTC midnight.
+ *
+ * @param {string} [timeZone] - An IANA time zone; defaults to UTC.
+ * @param {Date} [now] - The current instant.
+ * @returns {string} The date, YYYY-MM-DD
+ */
+function lastCompleteDay(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const utcMidnight = Date.parse(`${now.toISOString().slice(0, 10)}T00:00:00Z`);
+  let day = moment.utc(utcMidnight).subtract(1, 'day');
+  while (startOfLocalDay(moment.utc(day).add(1, 'day').format('YYYY-MM-DD'), timeZone).getTime() > utcMidnight) {
+    day.subtract(1, 'day');
+  }
+  return day.format('YYYY-MM-DD');
+}
+
+/**
+ * Formats a timestamp as wall-clock time in a time zone, e.g. "2025-04-01 02:30:00".
+ *
+ * @param {string} value - An ISO 8601 timestamp, as in the records.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {string|null} The local time, or null when the value is empty or not a timestamp
+ */
+function formatLocalTime(value, timeZone) {
+  const instant = value ? new Date(value) : null;
+  if (!instant || isNaN(instant.getTime())) {
+    return null;
+  }
+  const { date, time } = wallClock(instant, timeZone);
+  return `${date} ${time}`;
+}
+
+/**
+ * Works out which UTC export days cover a period of local days. The period runs from local midnight
+ * at the start of `startDate` up to local midnight after `endDate`, so in a time zone other than UTC
+ * it usually touches one more UTC day than it has local days.
+ *
+ * @param {string} startDate - First local day, YYYY-MM-DD.
+ * @param {string} endDate - Last local day, YYYY-MM-DD.
+ * @param {string} [timeZone] - An IANA time zone; defaults to UTC.
+ * @returns {{timeZone: string, startDate: string, endDate: string, start: string, end: string,
+ *   exportDays: {startDate: string, endDate: string, count: number}}} The local period, its start and
+ *   (exclusive) end as ISO instants, and the UTC export days that cover it
+ */
+function describePeriod(startDate, endDate, timeZone = DEFAULT_TIME_ZONE) {
+  const start = startOfLocalDay(startDate, timeZone);
+  const end = startOfLocalDay(moment.utc(endDate).add(1, 'day').format('YYYY-MM-DD'), timeZone);
+  const exportStart = start.toISOString().slice(0, 10);
+  const exportEnd = new Date(end.getTime() - 1).toISOString().slice(0, 10);
+  return {
+    timeZone,
+    startDate,
+    endDate,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    exportDays: {
+      startDate: exportStart,
+      endDate: exportEnd,
+      count: moment.utc(exportEnd).diff(moment.utc(exportStart), 'days') + 1
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  validateTimeZone,
+  startOfLocalDay,
+  lastCompleteDay,
+  formatLocalTime,
+  describePeriod
+};
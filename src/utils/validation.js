@@ -1,5 +1,8 @@
 const moment = require('moment');
 
+// Twilio accepts at most 366 days per export job
+const MAX_DAYS_PER_JOB = 366;
+
 /**
  * Validates that a date string is in YYYY-MM-DD format
  * @param {string} dateStr - The date string to validate
@@ -11,26 +14,7 @@ function validateDate(dateStr) {
     }
 }
 
-
-/**
- * Validates that a date range is valid and within Twilio's limits
- * @param {string} startDate - Start date in YYYY-MM-DD format
- * @param {string} endDate - End date in YYYY-MM-DD format
- * @returns {number} Number of days in the range
- * @throws {Error} If date range is invalid or exceeds limits
- */
-function validateDateRange(startDate, endDate) {
-    const days = moment(endDate).diff(moment(startDate), 'days') + 1;
-    if (days > 366) {
-        throw new Error('Date range cannot exceed 366 days due to Twilio API limitations');
-    }
-    if (days < 1) {
-        throw new Error('End date must be on or after start date');
-    }
-    return days;
-}
-
 module.exports = {
-    validateDate,
-    validateDateRange
+    MAX_DAYS_PER_JOB,
+    validateDate
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOutputSet } = require('../src/services/writers/partitions');
+
+const columns = [{ field: 'sid', header: 'sid' }, { field: 'from', header: 'from' }];
+
+function tempFolder() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'partitions-'));
+}
+
+test('a field split with more values than open parts appends to the parts it reopens', async () => {
+  const folder = tempFolder();
+  const output = createOutputSet(folder, { split: 'field:from', formats: ['csv', 'ndjson'], dialect: 'rfc4180' });
+  await output.open(columns);
+  // 200 senders, each written to five times in turn
+  for (let i = 0; i < 1000; i++) {
+    await output.write({ sid: `SM${i}`, from: `+1${i % 200}` });
+  }
+  const { parts, indexPath } = await output.close();
+
+  assert.strictEqual(parts.length, 200);
+  const part = parts.find(p => p.key === '+15');
+  assert.strictEqual(part.records, 5);
+  assert.deepStrictEqual(part.files.map(file => file.count), [5, 5]);
+  assert.strictEqual(
+    fs.readFileSync(path.join(folder, 'export_from_15.csv'), 'utf8'),
+    'sid,from\r\nSM5,+15\r\nSM205,+15\r\nSM405,+15\r\nSM605,+15\r\nSM805,+15'
+  );
+  assert.strictEqual(fs.readFileSync(path.join(folder, 'export_from_15.ndjson'), 'utf8').trim().split('\n').length, 5);
+  assert.strictEqual(JSON.parse(fs.readFileSync(indexPath)).parts.length, 200);
+  fs.rmSync(folder, { recursive: true });
+});
+
+test('a field split into workbooks fails when a field has more values than open parts', async () => {
+  const folder = tempFolder();
+  const output = createOutputSet(folder, { split: 'field:from', formats: ['xlsx'] });
+  await output.open(columns);
+  await assert.rejects(async () => {
+    for (let i = 0; i < 100; i++) {
+      await output.write({ sid: `SM${i}`, from: `+1${i}` });
+    }
+  }, /cannot be reopened/);
+  output.abort();
+  fs.rmSync(folder, { recursive: true });
+});
+
+test('aborting removes the parts written so far and the index of an earlier run', async () => {
+  const folder = tempFolder();
+  fs.writeFileSync(path.join(folder, 'export_index.json'), '{}');
+  const output = createOutputSet(folder, { split: 'day', formats: ['csv'] });
+  await output.open(columns);
+  for (const day of ['2025-04-01', '2025-04-02', '2025-04-03']) {
+    await output.write({ sid: day, from: '+15', fileDate: day });
+  }
+  output.abort();
+  // The open part is removed once its stream has closed
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.deepStrictEqual(fs.readdirSync(folder), []);
+  fs.rmSync(folder, { recursive: true });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolvePeriod } = require('../src/utils/periods');
+const { describePeriod } = require('../src/utils/timezone');
+
+// Monday 2026-10-19, 15:42 UTC: 11:42 in New York and 00:42 on Tuesday in Tokyo
+const now = new Date('2026-10-19T15:42:00Z');
+const lastCompleteUtcDay = '2026-10-18';
+
+function exportDaysOf(period, value, timeZone) {
+  const { startDate, endDate } = resolvePeriod(period, value, 'Job', timeZone, now);
+  return { startDate, endDate, exportDays: describePeriod(startDate, endDate, timeZone).exportDays };
+}
+
+test('relative presets in UTC end yesterday', () => {
+  const { startDate, endDate, exportDays } = exportDaysOf('yesterday', undefined, 'UTC');
+  assert.deepStrictEqual([startDate, endDate], ['2026-10-18', '2026-10-18']);
+  assert.deepStrictEqual(exportDays, { startDate: '2026-10-18', endDate: '2026-10-18', count: 1 });
+});
+
+test('relative presets east of UTC end on the last complete UTC day', () => {
+  const yesterday = exportDaysOf('yesterday', undefined, 'Asia/Tokyo');
+  assert.deepStrictEqual([yesterday.startDate, yesterday.endDate], ['2026-10-18', '2026-10-18']);
+  assert.deepStrictEqual(yesterday.exportDays, { startDate: '2026-10-17', endDate: '2026-10-18', count: 2 });
+
+  const week = exportDaysOf('week', undefined, 'Asia/Tokyo');
+  assert.deepStrictEqual([week.startDate, week.endDate], ['2026-10-12', '2026-10-18']);
+  assert.ok(week.exportDays.endDate <= lastCompleteUtcDay);
+});
+
+test('relative presets west of UTC end the day before, as that day ends after UTC midnight', () => {
+  const yesterday = exportDaysOf('yesterday', undefined, 'America/New_York');
+  assert.deepStrictEqual([yesterday.startDate, yesterday.endDate], ['2026-10-17', '2026-10-17']);
+  assert.deepStrictEqual(yesterday.exportDays, { startDate: '2026-10-17', endDate: '2026-10-18', count: 2 });
+
+  // The local week ending Sunday 2026-10-18 needs the export day 2026-10-19, so it is the week before
+  const week = exportDaysOf('week', undefined, 'America/New_York');
+  assert.deepStrictEqual([week.startDate, week.endDate], ['2026-10-05', '2026-10-11']);
+
+  for (const [period, value] of [['last-days', '7'], ['month', undefined], ['ytd', undefined]]) {
+    assert.ok(exportDaysOf(period, value, 'America/New_York').exportDays.endDate <= lastCompleteUtcDay, period);
+  }
+});
+
+test('explicit periods do not depend on the time zone', () => {
+  const week = exportDaysOf('week', '2025-W14', 'America/New_York');
+  assert.deepStrictEqual([week.startDate, week.endDate], ['2025-03-31', '2025-04-06']);
+  assert.deepStrictEqual(week.exportDays, { startDate: '2025-03-31', endDate: '2025-04-07', count: 8 });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { measureDataset, rollBackDataset, appendToDataset } = require('../src/services/sync/dataset');
+const { savePendingAppend, loadPendingAppend, clearPendingAppend } = require('../src/services/sync/state');
+
+test('an append recorded by the pending marker can be rolled back after an interrupted sync', async () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-'));
+  const jobFolder = path.join(folder, 'job');
+  const datasetFolder = path.join(folder, 'dataset');
+  const statePath = path.join(folder, 'sync_state.json');
+  fs.mkdirSync(jobFolder);
+  fs.mkdirSync(datasetFolder);
+  fs.writeFileSync(path.join(datasetFolder, 'export.csv'), 'sid,from\nSM1,+15');
+  fs.writeFileSync(path.join(jobFolder, 'export.csv'), 'sid,from\nSM2,+16');
+  fs.writeFileSync(path.join(jobFolder, 'export.ndjson'), '{"sid":"SM2"}\n');
+  const outputs = [
+    { format: 'csv', path: path.join(jobFolder, 'export.csv'), count: 1 },
+    { format: 'ndjson', path: path.join(jobFolder, 'export.ndjson'), count: 1 }
+  ];
+
+  await savePendingAppend(statePath, {
+    startDate: '2025-04-01',
+    endDate: '2025-04-02',
+    files: await measureDataset(outputs, datasetFolder)
+  });
+  await appendToDataset(outputs, datasetFolder);
+  assert.strictEqual(fs.readFileSync(path.join(datasetFolder, 'export.csv'), 'utf8'), 'sid,from\nSM1,+15\nSM2,+16');
+
+  // The state was never saved, so the next run undoes the append before exporting the days again
+  const pending = await loadPendingAppend(statePath);
+  assert.strictEqual(pending.endDate, '2025-04-02');
+  await rollBackDataset(pending.files);
+  await clearPendingAppend(statePath);
+
+  assert.strictEqual(fs.readFileSync(path.join(datasetFolder, 'export.csv'), 'utf8'), 'sid,from\nSM1,+15');
+  assert.deepStrictEqual(fs.readdirSync(datasetFolder), ['export.csv']);
+  assert.strictEqual(await loadPendingAppend(statePath), null);
+  fs.rmSync(folder, { recursive: true });
+});
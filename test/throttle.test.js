@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { keepThrottleHeaders, getThrottleInfo } = require('../src/services/twilio/throttle');
+
+// What twilio.RequestClient resolves with for a rate-limited request
+const throttledResponse = {
+  statusCode: 429,
+  body: JSON.stringify({ code: 20429, message: 'Too Many Requests', more_info: 'https://www.twilio.com/docs/errors/20429', status: 429 }),
+  headers: { 'retry-after': '7' }
+};
+
+test('a 429 from the Twilio client keeps its Retry-After delay', async () => {
+  const httpClient = keepThrottleHeaders({ request: async () => throttledResponse });
+  const error = await httpClient.request({ method: 'get', uri: 'https://bulkexports.twilio.com/v1/Exports/Messages/Days/2025-04-01' })
+    .then(() => null, rejection => rejection);
+
+  assert.strictEqual(error.status, 429);
+  assert.strictEqual(error.code, 20429);
+  assert.deepStrictEqual(getThrottleInfo(error), { throttled: true, status: 429, retryAfterMs: 7000 });
+});
+
+test('responses that are not throttled pass through the Twilio client unchanged', async () => {
+  const notFound = { statusCode: 404, body: '{"code":20404,"message":"Not found"}', headers: {} };
+  const httpClient = keepThrottleHeaders({ request: async () => notFound });
+  assert.strictEqual(await httpClient.request({}), notFound);
+});
+
+test('a throttled axios error uses the Retry-After header of its response', () => {
+  const error = { response: { status: 503, headers: { 'retry-after': '2' } } };
+  assert.deepStrictEqual(getThrottleInfo(error), { throttled: true, status: 503, retryAfterMs: 2000 });
+});
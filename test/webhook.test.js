@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWebhookListener } = require('../src/services/twilio/webhook');
+
+// A fake Twilio: posts a completion callback to the listener, as Twilio would through the public URL
+async function postCallback(port, url) {
+  const { pathname } = new URL(url);
+  const response = await fetch(`http://localhost:${port}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ job_sid: 'JS00000000000000000000000000000001', status: 'Completed' })
+  });
+  return response.status;
+}
+
+test('a callback wakes up the job waiting for it', async () => {
+  const listener = createWebhookListener({ publicUrl: 'https://example.test/hooks/', port: 0, waitMinutes: 1 });
+  const port = await listener.start();
+  try {
+    const callback = listener.expect('Job_Week_2025_04_07');
+    assert.match(callback.url, /^https:\/\/example\.test\/hooks\/bulk-export\/[a-f0-9]{32}$/);
+
+    const waiting = callback.wait();
+    assert.strictEqual(await postCallback(port, callback.url), 204);
+    assert.strictEqual(await waiting, true);
+  } finally {
+    await listener.close();
+  }
+});
+
+test('a callback that arrives before the wait starts still counts', async () => {
+  const listener = createWebhookListener({ publicUrl: 'http://localhost', port: 0, waitMinutes: 1 });
+  const port = await listener.start();
+  try {
+    const callback = listener.expect('Job_Day_2025_04_14');
+    assert.strictEqual(await postCallback(port, callback.url), 204);
+    assert.strictEqual(await callback.wait(), true);
+  } finally {
+    await listener.close();
+  }
+});
+
+test('requests to other paths are refused', async () => {
+  const listener = createWebhookListener({ publicUrl: 'http://localhost', port: 0, waitMinutes: 1 });
+  const port = await listener.start();
+  try {
+    listener.expect('Job_Week_2025_04_07');
+    assert.strictEqual(await postCallback(port, `http://localhost/bulk-export/${'0'.repeat(32)}`), 404);
+    assert.strictEqual(await postCallback(port, 'http://localhost/'), 404);
+  } finally {
+    await listener.close();
+  }
+});
+
+test('the wait gives up when no callback arrives in time', async () => {
+  // 0.001 minutes is 60 milliseconds
+  const listener = createWebhookListener({ publicUrl: 'http://localhost', port: 0, waitMinutes: 0.001 });
+  await listener.start();
+  try {
+    const started = Date.now();
+    assert.strictEqual(await listener.expect('Job_Week_2025_04_07').wait(), false);
+    assert.ok(Date.now() - started >= 50);
+  } finally {
+    await listener.close();
+  }
+});